@@ -1,21 +1,15 @@
 import { OAuth2Client } from 'google-auth-library';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import AuthSession from '../models/AuthSession.js';
+import { createAuthSession, rotateRefreshToken } from '../utils/authTokens.js';
+import { disconnectAuthSessions } from '../middleware/socketAuth.js';
 
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id, 
-      email: user.email, 
-      name: user.name 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
 
 // Google OAuth verification
 export const googleAuth = async (req, res) => {
@@ -40,12 +34,12 @@ export const googleAuth = async (req, res) => {
     // Find or create user
     const user = await User.findOrCreateFromGoogle(payload);
     
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session and issue its first access/refresh token pair
+    const { tokens } = await createAuthSession(user, getClientInfo(req));
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
@@ -144,9 +138,120 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+export const refreshToken = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body?.refreshToken, (userId) => User.findById(userId));
+
+    if (result.error) {
+      if (result.revokedSessionId) {
+        disconnectAuthSessions(req.app.get('io'), [result.revokedSessionId]);
+      }
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+};
+
+// List the user's signed-in devices
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => session.toClient(req.authSessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions'
+    });
+  }
+};
+
+// Sign out one device
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await AuthSession.findOne({ _id: sessionId, user: req.user.id }).catch(() => null);
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+    disconnectAuthSessions(req.app.get('io'), [session._id]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+};
+
+// Sign out every device, including this one
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const sessionIds = await AuthSession.revokeAllForUser(req.user.id);
+    disconnectAuthSessions(req.app.get('io'), sessionIds);
+
+    await User.findByIdAndUpdate(req.user.id, {
+      isOnline: false,
+      lastSeen: new Date()
+    });
+
+    res.json({
+      success: true,
+      revoked: sessionIds.length
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+};
+
 // Logout user
 export const logout = async (req, res) => {
   try {
+    // End this device's session so its tokens stop working
+    await AuthSession.updateOne(
+      { _id: req.authSessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    disconnectAuthSessions(req.app.get('io'), [req.authSessionId]);
+
     // Update user's online status
     await User.findByIdAndUpdate(req.user.id, {
       isOnline: false,
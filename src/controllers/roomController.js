@@ -1,5 +1,90 @@
-import Room from '../models/Room.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import Room, { getPasswordError } from '../models/Room.js';
 import User from '../models/User.js';
+import Message from '../models/Message.js';
+import ReactionBucket from '../models/ReactionBucket.js';
+import Bookmark from '../models/Bookmark.js';
+import Subtitle from '../models/Subtitle.js';
+import VideoUpload from '../models/VideoUpload.js';
+import { moderateParticipant } from '../utils/moderation.js';
+import { buildRoomCalendar } from '../utils/calendar.js';
+import { formatQueue, broadcastQueue, stepQueue } from '../utils/roomQueue.js';
+import { parseSubtitleFile } from '../utils/subtitles.js';
+import { validateMediaSource, describeMediaSource, formatVideoMetadata, signVideoFile } from '../utils/mediaSources.js';
+import { discardReplacedUpload, removeRoomUploads } from '../utils/uploadCleanup.js';
+import { getSubtitleState, broadcastSubtitles, setSubtitleOffset, signSubtitleTrack } from '../utils/roomSubtitles.js';
+import {
+  ALLOWED_VIDEO_TYPES,
+  MAX_VIDEO_SIZE,
+  CHUNK_SIZE,
+  ensureVideoDir,
+  isAllowedVideo,
+  matchesVideoSignature,
+  readFileHead,
+  writeChunk,
+  removeFile,
+  parseRange
+} from '../utils/videoStorage.js';
+
+const isFutureDate = (value) => {
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && date > new Date();
+};
+
+// What PUT /:roomId may change. movie and settings are merged key by key,
+// never replaced, and only with keys the schema defines.
+const UPDATABLE_ROOM_FIELDS = ['name', 'description', 'isPrivate', 'maxParticipants', 'tags', 'scheduledStartAt'];
+const UPDATABLE_ROOM_OBJECTS = ['movie', 'settings'];
+
+const isUnsafeKey = (key) => key.startsWith('$') || key.includes('.');
+
+// Builds a $set from a room update body. Returns { update } or { error }.
+const buildRoomUpdate = (body) => {
+  const update = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'password') continue;
+    if (isUnsafeKey(key)) {
+      return { error: `Invalid field "${key}"` };
+    }
+
+    if (UPDATABLE_ROOM_FIELDS.includes(key)) {
+      update[key] = value;
+    } else if (UPDATABLE_ROOM_OBJECTS.includes(key)) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `${key} must be an object` };
+      }
+      for (const [subKey, subValue] of Object.entries(value)) {
+        const fieldPath = `${key}.${subKey}`;
+        if (isUnsafeKey(subKey) || !Room.schema.path(fieldPath)) {
+          return { error: `Invalid field "${fieldPath}"` };
+        }
+        update[fieldPath] = subValue;
+      }
+    } else {
+      return { error: `Field "${key}" cannot be updated` };
+    }
+  }
+
+  return { update };
+};
+
+// Private rooms are only visible to the host, participants, people who
+// already RSVP'd, and holders of a valid invite code
+const canAccessRoom = (room, userId, inviteCode) => {
+  if (!room.isPrivate) return true;
+  if (userId && (
+    room.getRole(userId) === 'host' ||
+    room.isParticipant(userId) ||
+    room.rsvps.some(r => r.user.toString() === userId.toString())
+  )) {
+    return true;
+  }
+  return !!room.findValidInvite(inviteCode);
+};
 
 export const createRoom = async (req, res) => {
   try {
@@ -14,7 +99,9 @@ export const createRoom = async (req, res) => {
       isPrivate,
       maxParticipants,
       tags,
-      settings
+      settings,
+      password,
+      scheduledStartAt
     } = req.body;
 
     if (!name || !movieName) {
@@ -24,6 +111,22 @@ export const createRoom = async (req, res) => {
       });
     }
 
+    const passwordError = password !== undefined && password !== null && password !== ''
+      && getPasswordError(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    if (scheduledStartAt && !isFutureDate(scheduledStartAt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scheduledStartAt must be a valid date in the future'
+      });
+    }
+
     const room = new Room({
       name,
       description,
@@ -38,9 +141,14 @@ export const createRoom = async (req, res) => {
       isPrivate: isPrivate || false,
       maxParticipants: maxParticipants || 50,
       tags: tags || [],
-      settings: settings || {}
+      settings: settings || {},
+      scheduledStartAt: scheduledStartAt || null
     });
 
+    if (password) {
+      await room.setPassword(password);
+    }
+
     await room.addParticipant(req.user.id, true);
     await room.save();
 
@@ -63,9 +171,11 @@ export const createRoom = async (req, res) => {
         },
         movie: room.movie,
         isPrivate: room.isPrivate,
+        isPasswordProtected: room.isPasswordProtected,
         maxParticipants: room.maxParticipants,
         currentParticipants: room.currentParticipants,
         status: room.status,
+        scheduledStartAt: room.scheduledStartAt,
         tags: room.tags,
         settings: room.settings,
         createdAt: room.createdAt
@@ -136,9 +246,11 @@ export const getRooms = async (req, res) => {
         },
         movie: room.movie,
         isPrivate: room.isPrivate,
+        isPasswordProtected: room.isPasswordProtected,
         maxParticipants: room.maxParticipants,
         currentParticipants: room.currentParticipants,
         status: room.status,
+        scheduledStartAt: room.scheduledStartAt,
         tags: room.tags,
         createdAt: room.createdAt
       })),
@@ -176,9 +288,14 @@ export const getRoom = async (req, res) => {
 
     let canJoin = { canJoin: true };
     if (req.user && req.user.id) {
-      canJoin = room.canUserJoin(req.user.id);
+      canJoin = room.canUserJoin(req.user.id, { inviteCode: req.query.invite });
     }
 
+    // This route is public, so stream tokens only go to active participants
+    const canStream = !!req.user && !room.isBanned(req.user.id) && room.participants.some(
+      p => p.isActive && p.user?._id.toString() === req.user.id
+    );
+
     res.json({
       success: true,
       room: {
@@ -191,11 +308,15 @@ export const getRoom = async (req, res) => {
           picture: room.host.picture
         },
         movie: room.movie,
-        videoFile: room.videoFile,
+        videoFile: canStream ? signVideoFile(room.videoFile) : room.videoFile,
+        media: describeMediaSource(room.videoFile, { signed: canStream }),
         isPrivate: room.isPrivate,
+        isPasswordProtected: room.isPasswordProtected,
         maxParticipants: room.maxParticipants,
         currentParticipants: room.currentParticipants,
         status: room.status,
+        scheduledStartAt: room.scheduledStartAt,
+        rsvpCounts: room.getRsvpCounts(),
         playbackState: room.playbackState,
         settings: room.settings,
         participants: room.participants.map(p => ({
@@ -206,6 +327,7 @@ export const getRoom = async (req, res) => {
           },
           joinedAt: p.joinedAt,
           isHost: p.isHost,
+          role: room.getRole(p.user._id),
           isActive: p.isActive
         })),
         tags: room.tags,
@@ -227,7 +349,32 @@ export const getRoom = async (req, res) => {
 export const updateRoom = async (req, res) => {
   try {
     const { roomId } = req.params;
-    const updateData = req.body;
+    const { password } = req.body || {};
+
+    const { update: updateData, error } = buildRoomUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // An empty password (or null) removes it
+    const passwordError = password !== undefined && password !== null && password !== ''
+      && getPasswordError(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    if (updateData.scheduledStartAt && !isFutureDate(updateData.scheduledStartAt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scheduledStartAt must be a valid date in the future'
+      });
+    }
 
     const room = await Room.findById(roomId);
 
@@ -238,15 +385,23 @@ export const updateRoom = async (req, res) => {
       });
     }
 
-    if (room.host.toString() !== req.user.id) {
+    if (!room.hasPermission(req.user.id, 'editSettings')) {
       return res.status(403).json({
         success: false,
-        error: 'Only the host can update the room'
+        error: 'You do not have permission to update the room'
       });
     }
+
+    if (password !== undefined) {
+      await room.setPassword(password);
+      updateData.passwordHash = room.passwordHash;
+      updateData.isPasswordProtected = room.isPasswordProtected;
+      updateData.passwordAttempts = [];
+    }
+
     const updatedRoom = await Room.findByIdAndUpdate(
       roomId,
-      updateData,
+      { $set: updateData },
       { new: true, runValidators: true }
     ).populate('host', 'name picture');
 
@@ -263,9 +418,11 @@ export const updateRoom = async (req, res) => {
         },
         movie: updatedRoom.movie,
         isPrivate: updatedRoom.isPrivate,
+        isPasswordProtected: updatedRoom.isPasswordProtected,
         maxParticipants: updatedRoom.maxParticipants,
         currentParticipants: updatedRoom.currentParticipants,
         status: updatedRoom.status,
+        scheduledStartAt: updatedRoom.scheduledStartAt,
         settings: updatedRoom.settings,
         tags: updatedRoom.tags
       }
@@ -293,7 +450,7 @@ export const deleteRoom = async (req, res) => {
       });
     }
 
-    if (room.host.toString() !== req.user.id) {
+    if (!room.hasPermission(req.user.id, 'deleteRoom')) {
       return res.status(403).json({
         success: false,
         error: 'Only the host can delete the room'
@@ -302,6 +459,15 @@ export const deleteRoom = async (req, res) => {
 
     await Room.findByIdAndDelete(roomId);
 
+    // Nothing else refers to a deleted room's data
+    await Promise.all([
+      Message.deleteMany({ room: room._id }),
+      ReactionBucket.deleteMany({ room: room._id }),
+      Bookmark.deleteMany({ room: room._id }),
+      Subtitle.deleteMany({ room: room._id }),
+      removeRoomUploads(room._id)
+    ]);
+
     res.json({
       success: true,
       message: 'Room deleted successfully'
@@ -321,6 +487,7 @@ export const joinRoom = async (req, res) => {
     const { roomId } = req.params;
 
     const room = await Room.findById(roomId)
+      .select('+passwordHash')
       .populate('host', 'name picture');
 
     if (!room) {
@@ -330,7 +497,7 @@ export const joinRoom = async (req, res) => {
       });
     }
 
-    const canJoin = room.canUserJoin(req.user.id);
+    const canJoin = room.canUserJoin(req.user.id, { inviteCode: req.body?.inviteCode });
     if (!canJoin.canJoin) {
       return res.status(403).json({
         success: false,
@@ -338,6 +505,43 @@ export const joinRoom = async (req, res) => {
       });
     }
 
+    const password = req.body?.password;
+    if (password !== undefined && password !== null && password !== '' && getPasswordError(password)) {
+      return res.status(400).json({
+        success: false,
+        error: getPasswordError(password)
+      });
+    }
+
+    const passwordCheck = await room.verifyPassword(req.user.id, password);
+    if (!passwordCheck.ok) {
+      if (passwordCheck.locked) {
+        res.set('Retry-After', String(passwordCheck.retryAfter));
+      }
+      return res.status(passwordCheck.locked ? 429 : 403).json({
+        success: false,
+        error: passwordCheck.reason,
+        ...(passwordCheck.retryAfter !== undefined && { retryAfter: passwordCheck.retryAfter }),
+        ...(passwordCheck.attemptsRemaining !== undefined && { attemptsRemaining: passwordCheck.attemptsRemaining })
+      });
+    }
+
+    // Lobby admission happens over the socket so the host can approve live
+    if (room.requiresLobby(req.user.id)) {
+      return res.status(202).json({
+        success: true,
+        pendingApproval: true,
+        message: 'This room has a waiting room. Join over the socket to request admission'
+      });
+    }
+
+    if (canJoin.inviteCode && !(await room.redeemInvite(canJoin.inviteCode))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invite code is no longer valid'
+      });
+    }
+
     await room.addParticipant(req.user.id);
     await User.findByIdAndUpdate(req.user.id, {
       $inc: { 'stats.roomsJoined': 1 }
@@ -430,4 +634,1327 @@ export const getUserRooms = async (req, res) => {
       error: 'Failed to get user rooms'
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+const formatInvite = (room, invite) => ({
+  code: invite.code,
+  joinUrl: `${room.roomUrl}?invite=${invite.code}`,
+  createdAt: invite.createdAt,
+  expiresAt: invite.expiresAt,
+  singleUse: invite.singleUse,
+  uses: invite.uses,
+  isRevoked: invite.isRevoked,
+  revokedAt: invite.revokedAt
+});
+
+export const createInvite = async (req, res) => {
+  try {
+    const room = req.room;
+    const { expiresInMinutes, singleUse } = req.body || {};
+
+    if (expiresInMinutes !== undefined && (typeof expiresInMinutes !== 'number' || expiresInMinutes <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInMinutes must be a positive number'
+      });
+    }
+
+    const invite = room.createInvite(req.user.id, { expiresInMinutes, singleUse });
+    await room.save();
+
+    res.status(201).json({
+      success: true,
+      invite: formatInvite(room, invite)
+    });
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invite'
+    });
+  }
+};
+
+export const getInvites = async (req, res) => {
+  try {
+    const room = req.room;
+
+    res.json({
+      success: true,
+      invites: room.invites.map(invite => formatInvite(room, invite))
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get invites'
+    });
+  }
+};
+
+export const revokeInvite = async (req, res) => {
+  try {
+    const room = req.room;
+    const { code } = req.params;
+
+    const invite = room.revokeInvite(code);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found or already revoked'
+      });
+    }
+
+    await room.save();
+
+    res.json({
+      success: true,
+      invite: formatInvite(room, invite)
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invite'
+    });
+  }
+};
+
+export const setParticipantRole = async (req, res) => {
+  try {
+    const room = req.room;
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    const result = room.setRole(userId, role);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    await room.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(room._id.toString()).emit('role-changed', {
+        userId,
+        role,
+        changedBy: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      participant: {
+        userId,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Set participant role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set participant role'
+    });
+  }
+};
+
+const handleModeration = (action) => async (req, res) => {
+  try {
+    const room = req.room;
+    const targetId = req.params.userId || req.body?.userId;
+
+    const result = await moderateParticipant(req.app.get('io'), room, action, {
+      targetId: targetId && String(targetId),
+      actorId: req.user.id,
+      reason: req.body?.reason
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      action,
+      userId: targetId
+    });
+
+  } catch (error) {
+    console.error(`Moderation (${action}) error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} participant`
+    });
+  }
+};
+
+export const kickParticipant = handleModeration('kick');
+export const banParticipant = handleModeration('ban');
+export const unbanParticipant = handleModeration('unban');
+export const muteParticipant = handleModeration('mute');
+export const unmuteParticipant = handleModeration('unmute');
+
+export const getBans = async (req, res) => {
+  try {
+    const room = req.room;
+
+    res.json({
+      success: true,
+      bans: room.bans.map(ban => ({
+        userId: ban.user,
+        bannedBy: ban.bannedBy,
+        reason: ban.reason,
+        createdAt: ban.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get bans error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bans'
+    });
+  }
+};
+
+export const getModerationLog = async (req, res) => {
+  try {
+    const room = req.room;
+
+    res.json({
+      success: true,
+      log: room.moderationLog.map(entry => ({
+        action: entry.action,
+        userId: entry.target,
+        by: entry.actor,
+        reason: entry.reason,
+        createdAt: entry.createdAt
+      })).reverse()
+    });
+
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get moderation log'
+    });
+  }
+};
+
+export const setRsvp = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { status, inviteCode } = req.body || {};
+
+    if (!['going', 'maybe', 'declined'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be one of going, maybe or declined'
+      });
+    }
+
+    const room = await Room.findById(roomId);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    if (!room.scheduledStartAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'This room is not a scheduled party'
+      });
+    }
+
+    if (room.isBanned(req.user.id) || !canAccessRoom(room, req.user.id, inviteCode)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot RSVP to this room'
+      });
+    }
+
+    const rsvp = room.setRsvp(req.user.id, status);
+    await room.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(room._id.toString()).emit('rsvp-updated', {
+        userId: req.user.id,
+        status,
+        rsvpCounts: room.getRsvpCounts()
+      });
+    }
+
+    res.json({
+      success: true,
+      rsvp: {
+        status: rsvp.status,
+        respondedAt: rsvp.respondedAt
+      },
+      rsvpCounts: room.getRsvpCounts()
+    });
+
+  } catch (error) {
+    console.error('Set RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save RSVP'
+    });
+  }
+};
+
+export const getUserUpcomingRooms = async (req, res) => {
+  try {
+    const rooms = await Room.getUpcomingForUser(req.user.id);
+
+    res.json({
+      success: true,
+      rooms: rooms.map(room => {
+        const rsvp = room.rsvps.find(r => r.user.toString() === req.user.id);
+        return {
+          id: room._id,
+          name: room.name,
+          host: {
+            id: room.host._id,
+            name: room.host.name,
+            picture: room.host.picture
+          },
+          movie: room.movie,
+          status: room.status,
+          scheduledStartAt: room.scheduledStartAt,
+          isHost: room.host._id.toString() === req.user.id,
+          rsvp: rsvp ? rsvp.status : null,
+          rsvpCounts: room.getRsvpCounts()
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get upcoming rooms error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get upcoming rooms'
+    });
+  }
+};
+
+export const exportRoomCalendar = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await Room.findById(roomId);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    if (!room.scheduledStartAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'This room is not a scheduled party'
+      });
+    }
+
+    if (!canAccessRoom(room, req.user?.id, req.query.invite)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this room'
+      });
+    }
+
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const calendar = buildRoomCalendar(room, { url: `${baseUrl}${room.roomUrl}` });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="cinemasync-${room._id}.ics"`);
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Export calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export calendar'
+    });
+  }
+};
+
+export const getQueue = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      queue: formatQueue(req.room)
+    });
+
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get queue'
+    });
+  }
+};
+
+export const addQueueEntry = async (req, res) => {
+  try {
+    const room = req.room;
+    const { title, videoFile, duration } = req.body || {};
+
+    let source;
+    if (videoFile) {
+      const validated = await validateMediaSource(videoFile, room);
+      if (!validated.success) {
+        return res.status(400).json({
+          success: false,
+          error: validated.reason
+        });
+      }
+      source = validated.source;
+    }
+
+    const result = room.addToQueue({ title, videoFile: source, duration }, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    await room.save();
+    broadcastQueue(req.app.get('io'), room);
+
+    res.status(201).json({
+      success: true,
+      queue: formatQueue(room)
+    });
+
+  } catch (error) {
+    console.error('Add queue entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add queue entry'
+    });
+  }
+};
+
+export const removeQueueEntry = async (req, res) => {
+  try {
+    const room = req.room;
+
+    const result = room.removeFromQueue(req.params.entryId);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    await room.save();
+    broadcastQueue(req.app.get('io'), room);
+
+    res.json({
+      success: true,
+      queue: formatQueue(room)
+    });
+
+  } catch (error) {
+    console.error('Remove queue entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove queue entry'
+    });
+  }
+};
+
+export const moveQueueEntry = async (req, res) => {
+  try {
+    const room = req.room;
+    const { index } = req.body || {};
+
+    const result = room.moveQueueEntry(req.params.entryId, index);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    await room.save();
+    broadcastQueue(req.app.get('io'), room);
+
+    res.json({
+      success: true,
+      queue: formatQueue(room)
+    });
+
+  } catch (error) {
+    console.error('Move queue entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder queue'
+    });
+  }
+};
+
+const handleQueueStep = (step) => async (req, res) => {
+  try {
+    const room = req.room;
+
+    const result = await stepQueue(req.app.get('io'), room, step, { autoPlay: room.settings.autoPlay });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      queue: formatQueue(room)
+    });
+
+  } catch (error) {
+    console.error('Queue step error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change queue entry'
+    });
+  }
+};
+
+export const playNextInQueue = handleQueueStep(1);
+export const playPreviousInQueue = handleQueueStep(-1);
+
+export const getMessages = async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    if (before && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    const page = await Message.getPage(req.room._id, { before, limit });
+
+    res.json({
+      success: true,
+      messages: page.messages.map(message => message.toClient()),
+      pagination: {
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get messages'
+    });
+  }
+};
+
+export const getMessageHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message id'
+      });
+    }
+
+    const message = await Message.findOne({ _id: messageId, room: req.room._id })
+      .populate('user', 'name picture')
+      .populate('deletedBy', 'name');
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: {
+        ...message.toClient(),
+        text: message.text,
+        deletedAt: message.deletedAt,
+        deletedBy: message.deletedBy
+      },
+      history: message.editHistory.map(entry => ({
+        text: entry.text,
+        editedAt: entry.editedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get message history'
+    });
+  }
+};
+
+export const getReactionTimeline = async (req, res) => {
+  try {
+    const videoKey = req.room.getVideoKey();
+    const timeline = await ReactionBucket.getTimeline(req.room._id, videoKey, {
+      resolution: req.query.resolution
+    });
+
+    res.json({
+      success: true,
+      videoKey,
+      ...timeline
+    });
+
+  } catch (error) {
+    console.error('Get reaction timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get reaction timeline'
+    });
+  }
+};
+
+// Bookmarks are private to their author unless shared with the room
+const isValidBookmarkTime = (time) => typeof time === 'number' && Number.isFinite(time) && time >= 0;
+
+const MAX_BOOKMARK_NOTE_LENGTH = 500;
+
+const getBookmarkNoteError = (note) => {
+  if (note === undefined || note === null) return null;
+  if (typeof note !== 'string') return 'note must be a string';
+  if (note.trim().length > MAX_BOOKMARK_NOTE_LENGTH) {
+    return `note must be at most ${MAX_BOOKMARK_NOTE_LENGTH} characters`;
+  }
+  return null;
+};
+
+const findRoomBookmark = (req) => {
+  if (!mongoose.isValidObjectId(req.params.bookmarkId)) return null;
+  return Bookmark.findOne({ _id: req.params.bookmarkId, room: req.room._id })
+    .populate('user', 'name picture');
+};
+
+export const getBookmarks = async (req, res) => {
+  try {
+    // Defaults to the current video; ?video=all lists every video's bookmarks
+    const videoKey = req.query.video === 'all' ? undefined : req.room.getVideoKey();
+    const bookmarks = await Bookmark.findVisible(req.room._id, req.user.id, { videoKey });
+
+    res.json({
+      success: true,
+      bookmarks: bookmarks.map(bookmark => bookmark.toClient())
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bookmarks'
+    });
+  }
+};
+
+export const createBookmark = async (req, res) => {
+  try {
+    const room = req.room;
+    const { time, note, isShared } = req.body || {};
+
+    if (time !== undefined && !isValidBookmarkTime(time)) {
+      return res.status(400).json({
+        success: false,
+        error: 'time must be a non-negative number of seconds'
+      });
+    }
+
+    const noteError = getBookmarkNoteError(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        error: noteError
+      });
+    }
+
+    const bookmark = await Bookmark.create({
+      room: room._id,
+      user: req.user.id,
+      videoKey: room.getVideoKey(),
+      time: time ?? room.getExpectedTime(),
+      note,
+      isShared: !!isShared
+    });
+    await bookmark.populate('user', 'name picture');
+
+    const io = req.app.get('io');
+    if (io && bookmark.isShared) {
+      io.to(room._id.toString()).emit('bookmark-added', bookmark.toClient());
+    }
+
+    res.status(201).json({
+      success: true,
+      bookmark: bookmark.toClient()
+    });
+
+  } catch (error) {
+    console.error('Create bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create bookmark'
+    });
+  }
+};
+
+export const updateBookmark = async (req, res) => {
+  try {
+    const bookmark = await findRoomBookmark(req);
+
+    if (!bookmark || !bookmark.isVisibleTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bookmark not found'
+      });
+    }
+
+    if (!bookmark.isOwner(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own bookmarks'
+      });
+    }
+
+    const { time, note, isShared } = req.body || {};
+
+    if (time !== undefined && !isValidBookmarkTime(time)) {
+      return res.status(400).json({
+        success: false,
+        error: 'time must be a non-negative number of seconds'
+      });
+    }
+
+    const noteError = getBookmarkNoteError(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        error: noteError
+      });
+    }
+
+    const wasShared = bookmark.isShared;
+    if (time !== undefined) bookmark.time = time;
+    if (note !== undefined) bookmark.note = note;
+    if (isShared !== undefined) bookmark.isShared = !!isShared;
+    await bookmark.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      const roomId = req.room._id.toString();
+      if (bookmark.isShared) {
+        io.to(roomId).emit(wasShared ? 'bookmark-updated' : 'bookmark-added', bookmark.toClient());
+      } else if (wasShared) {
+        io.to(roomId).emit('bookmark-removed', { id: bookmark._id });
+      }
+    }
+
+    res.json({
+      success: true,
+      bookmark: bookmark.toClient()
+    });
+
+  } catch (error) {
+    console.error('Update bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bookmark'
+    });
+  }
+};
+
+export const deleteBookmark = async (req, res) => {
+  try {
+    const bookmark = await findRoomBookmark(req);
+
+    if (!bookmark || !bookmark.isVisibleTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bookmark not found'
+      });
+    }
+
+    if (!bookmark.isOwner(req.user.id) && !req.room.hasPermission(req.user.id, 'moderateChat')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own bookmarks'
+      });
+    }
+
+    await bookmark.deleteOne();
+
+    const io = req.app.get('io');
+    if (io && bookmark.isShared) {
+      io.to(req.room._id.toString()).emit('bookmark-removed', { id: bookmark._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete bookmark'
+    });
+  }
+};
+
+const MAX_SUBTITLE_TRACKS = 20;
+
+export const getSubtitles = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await getSubtitleState(req.room))
+    });
+
+  } catch (error) {
+    console.error('Get subtitles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get subtitles'
+    });
+  }
+};
+
+export const uploadSubtitle = async (req, res) => {
+  try {
+    const room = req.room;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A subtitle file is required'
+      });
+    }
+
+    const language = req.body?.language;
+    if (!language) {
+      return res.status(400).json({
+        success: false,
+        error: 'language is required'
+      });
+    }
+
+    if (await Subtitle.countDocuments({ room: room._id }) >= MAX_SUBTITLE_TRACKS) {
+      return res.status(400).json({
+        success: false,
+        error: `A room can have at most ${MAX_SUBTITLE_TRACKS} subtitle tracks`
+      });
+    }
+
+    const parsed = parseSubtitleFile(req.file.buffer, req.file.originalname);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    const track = await Subtitle.create({
+      room: room._id,
+      language,
+      label: req.body.label,
+      originalFormat: parsed.format,
+      originalName: req.file.originalname,
+      content: parsed.vtt,
+      cueCount: parsed.cueCount,
+      uploadedBy: req.user.id
+    });
+
+    await broadcastSubtitles(req.app.get('io'), room, { action: 'added', track: signSubtitleTrack(track.toClient()) });
+
+    res.status(201).json({
+      success: true,
+      track: signSubtitleTrack(track.toClient())
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Upload subtitle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload subtitles'
+    });
+  }
+};
+
+export const getSubtitleTrack = async (req, res) => {
+  try {
+    const track = mongoose.isValidObjectId(req.params.trackId)
+      && await Subtitle.findOne({ _id: req.params.trackId, room: req.room._id }).select('+content');
+
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtitle track not found'
+      });
+    }
+
+    res.set('Content-Type', 'text/vtt; charset=utf-8');
+    res.set('Content-Language', track.language);
+    res.send(track.content);
+
+  } catch (error) {
+    console.error('Get subtitle track error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get subtitle track'
+    });
+  }
+};
+
+export const deleteSubtitle = async (req, res) => {
+  try {
+    const track = mongoose.isValidObjectId(req.params.trackId)
+      && await Subtitle.findOneAndDelete({ _id: req.params.trackId, room: req.room._id });
+
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtitle track not found'
+      });
+    }
+
+    await broadcastSubtitles(req.app.get('io'), req.room, { action: 'removed', trackId: track._id });
+
+    res.json({
+      success: true,
+      message: 'Subtitle track deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete subtitle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subtitle track'
+    });
+  }
+};
+
+export const updateSubtitleOffset = async (req, res) => {
+  try {
+    const result = await setSubtitleOffset(req.app.get('io'), req.room, req.body?.offset, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      offset: result.offset
+    });
+
+  } catch (error) {
+    console.error('Update subtitle offset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subtitle offset'
+    });
+  }
+};
+
+// Points the room at a finished upload and tells everyone to load it
+const publishUploadedVideo = async (io, room, upload) => {
+  const replacedUploadId = room.videoFile?.uploadId;
+  room.videoFile = {
+    sourceType: 'upload',
+    name: upload.fileName,
+    size: upload.size,
+    type: upload.mimeType,
+    url: `/api/rooms/${room._id}/video/stream`,
+    hash: null,
+    uploadId: upload._id
+  };
+  await room.save();
+  await discardReplacedUpload(room, replacedUploadId);
+
+  if (io) {
+    io.to(room._id.toString()).emit('video-metadata', formatVideoMetadata(room.videoFile));
+  }
+};
+
+// How long a chunk write may hold its claim on an upload
+const CHUNK_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+const findRoomUpload = (req) => {
+  if (!mongoose.isValidObjectId(req.params.uploadId)) return null;
+  return VideoUpload.findOne({ _id: req.params.uploadId, room: req.room._id }).select('+storagePath');
+};
+
+export const uploadVideo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A video file is required'
+      });
+    }
+
+    const head = await readFileHead(req.file.path);
+    if (!matchesVideoSignature(head, req.file.mimetype)) {
+      await removeFile(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: `File content does not match ${req.file.mimetype}`
+      });
+    }
+
+    const upload = await VideoUpload.create({
+      room: req.room._id,
+      user: req.user.id,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      received: req.file.size,
+      status: 'complete',
+      storagePath: req.file.path,
+      completedAt: new Date()
+    });
+
+    await publishUploadedVideo(req.app.get('io'), req.room, upload);
+
+    res.status(201).json({
+      success: true,
+      upload: upload.toClient(),
+      videoFile: signVideoFile(req.room.videoFile)
+    });
+
+  } catch (error) {
+    if (req.file) await removeFile(req.file.path).catch(() => {});
+    console.error('Upload video error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload video'
+    });
+  }
+};
+
+export const createVideoUpload = async (req, res) => {
+  try {
+    const { name, size, type } = req.body || {};
+
+    if (!name || !isAllowedVideo(type, name)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported video type. Allowed: ${Object.keys(ALLOWED_VIDEO_TYPES).join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_VIDEO_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `size must be between 1 and ${MAX_VIDEO_SIZE} bytes`
+      });
+    }
+
+    const dir = await ensureVideoDir(req.room._id);
+    const storagePath = path.join(dir, `${crypto.randomUUID()}${path.extname(name).toLowerCase()}`);
+    await fs.promises.writeFile(storagePath, '');
+
+    const upload = await VideoUpload.create({
+      room: req.room._id,
+      user: req.user.id,
+      fileName: name,
+      mimeType: type,
+      size,
+      storagePath
+    });
+
+    res.status(201).json({
+      success: true,
+      upload: upload.toClient({ chunkSize: CHUNK_SIZE })
+    });
+
+  } catch (error) {
+    console.error('Create video upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start upload'
+    });
+  }
+};
+
+// Clients resume an interrupted upload from `received`
+export const getVideoUpload = async (req, res) => {
+  try {
+    const upload = await findRoomUpload(req);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      upload: upload.toClient({ chunkSize: CHUNK_SIZE })
+    });
+
+  } catch (error) {
+    console.error('Get video upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get upload'
+    });
+  }
+};
+
+// `offset` must equal the bytes received so far
+export const uploadVideoChunk = async (req, res) => {
+  try {
+    const upload = await findRoomUpload(req);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found'
+      });
+    }
+
+    if (upload.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the uploader can add chunks'
+      });
+    }
+
+    if (upload.status === 'complete') {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload is already complete',
+        upload: upload.toClient()
+      });
+    }
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A chunk is required'
+      });
+    }
+
+    const offset = parseInt(req.body?.offset);
+    if (offset !== upload.received) {
+      return res.status(409).json({
+        success: false,
+        error: 'Chunk offset does not match the bytes received',
+        received: upload.received
+      });
+    }
+
+    const chunk = req.file.buffer;
+    if (offset + chunk.length > upload.size) {
+      return res.status(400).json({
+        success: false,
+        error: 'Chunk runs past the declared file size'
+      });
+    }
+
+    if (offset === 0 && !matchesVideoSignature(chunk, upload.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        error: `File content does not match ${upload.mimeType}`
+      });
+    }
+
+    // Claim the offset before writing so a retry or a second tab cannot
+    // overwrite these bytes. A claim left by a crashed request goes stale.
+    const claimedAt = new Date();
+    const claimed = await VideoUpload.findOneAndUpdate(
+      {
+        _id: upload._id,
+        status: 'uploading',
+        received: offset,
+        $or: [
+          { writeClaimedAt: null },
+          { writeClaimedAt: { $lt: new Date(claimedAt.getTime() - CHUNK_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { writeClaimedAt: claimedAt } }
+    );
+
+    if (!claimed) {
+      const current = await VideoUpload.findById(upload._id);
+      return res.status(409).json({
+        success: false,
+        error: 'Another chunk is being written, or the offset does not match the bytes received',
+        received: current?.received
+      });
+    }
+
+    try {
+      await writeChunk(upload.storagePath, chunk, offset);
+    } catch (error) {
+      await VideoUpload.updateOne(
+        { _id: upload._id, writeClaimedAt: claimedAt },
+        { $set: { writeClaimedAt: null } }
+      );
+      throw error;
+    }
+
+    const updated = await VideoUpload.findOneAndUpdate(
+      { _id: upload._id, writeClaimedAt: claimedAt },
+      { $inc: { received: chunk.length }, $set: { writeClaimedAt: null } },
+      { new: true }
+    ).select('+storagePath');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'The chunk took too long to write; resend it',
+        received: offset
+      });
+    }
+
+    if (updated.received === updated.size) {
+      updated.status = 'complete';
+      updated.completedAt = new Date();
+      await updated.save();
+      await publishUploadedVideo(req.app.get('io'), req.room, updated);
+    }
+
+    res.json({
+      success: true,
+      upload: updated.toClient({ chunkSize: CHUNK_SIZE }),
+      ...(updated.status === 'complete' && { videoFile: signVideoFile(req.room.videoFile) })
+    });
+
+  } catch (error) {
+    console.error('Upload video chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload chunk'
+    });
+  }
+};
+
+export const abortVideoUpload = async (req, res) => {
+  try {
+    const upload = await findRoomUpload(req);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found'
+      });
+    }
+
+    if (upload.status === 'complete') {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload is already complete'
+      });
+    }
+
+    await removeFile(upload.storagePath);
+    await upload.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+
+  } catch (error) {
+    console.error('Abort video upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to abort upload'
+    });
+  }
+};
+
+// Supports Range requests so players can seek
+export const streamVideo = async (req, res) => {
+  try {
+    const uploadId = req.room.videoFile?.uploadId;
+    const upload = uploadId && await VideoUpload.findOne({
+      _id: uploadId,
+      room: req.room._id,
+      status: 'complete'
+    }).select('+storagePath');
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'This room has no server-hosted video'
+      });
+    }
+
+    const { size } = await fs.promises.stat(upload.storagePath);
+    const range = parseRange(req.headers.range, size);
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Content-Type', upload.mimeType);
+
+    if (range?.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.set('Content-Length', String(end - start + 1));
+
+    const stream = fs.createReadStream(upload.storagePath, { start, end });
+    stream.on('error', (error) => {
+      console.error('Stream video error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Stream video error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream video'
+    });
+  }
+};
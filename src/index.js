@@ -4,11 +4,46 @@ import http from 'http';
 import { Server as socketIo } from 'socket.io';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
 import connectDB from './config/database.js';
 import authRoutes from './routes/auth.js';
 import roomRoutes from './routes/rooms.js';
-import Room from './models/Room.js';
+import Room, { getPasswordError } from './models/Room.js';
 import User from './models/User.js';
+import Message from './models/Message.js';
+import ReactionBucket from './models/ReactionBucket.js';
+import Bookmark from './models/Bookmark.js';
+import { authenticateSocket, refreshSocketToken, scheduleTokenExpiry, clearTokenExpiry } from './middleware/socketAuth.js';
+import { addUserSocket, removeUserSocket, getUserSocketIds, getUserSocketsInRoom } from './utils/userSockets.js';
+import { moderateParticipant } from './utils/moderation.js';
+import { startPartyScheduler } from './utils/partyScheduler.js';
+import { startUploadCleanup } from './utils/uploadCleanup.js';
+import {
+  setRoomClock,
+  getRoomClock,
+  getClockSnapshot,
+  checkDrift,
+  startSyncTicker,
+  getExpectedPosition,
+} from './utils/playbackClock.js';
+import { formatQueue, broadcastQueue, stepQueue } from './utils/roomQueue.js';
+import { applyPlay, applyPause, applySeek } from './utils/playbackCommands.js';
+import { proposeOrVote, voteOnProposal, getOpenProposals } from './utils/playbackVotes.js';
+import { createSession, endSession, suspendSession, resumeSession, queueMissedEvent } from './utils/roomSessions.js';
+import { pingSocket, getSocketLatency, startLatencyProbe, emitScheduled } from './utils/clockSync.js';
+import { startBuffering, endBuffering, getBufferingState } from './utils/bufferingCoordinator.js';
+import { checkChatMessage, clearChatState } from './utils/chatFilter.js';
+import { isValidReaction, allowReaction, clearReactionState } from './utils/liveReactions.js';
+import { getSubtitleState, setSubtitleOffset } from './utils/roomSubtitles.js';
+import { validateMediaSource, describeMediaSource, formatVideoMetadata, signVideoFile } from './utils/mediaSources.js';
+import {
+  startReadyCheck,
+  confirmReady,
+  forceReadyCheck,
+  cancelReadyCheck,
+  removeFromReadyCheck,
+  getReadyCheck,
+} from './utils/readyCheck.js';
 import { Console } from 'console';
 
 dotenv.config();
@@ -34,84 +69,336 @@ app.use(
 );
 app.use(express.json());
 
+// Lets REST controllers broadcast to socket rooms via req.app.get('io')
+app.set('io', io);
+
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
 
-const userSockets = new Map();
+function formatParticipant(room, p) {
+  return {
+    user: { id: p.user._id, name: p.user.name, picture: p.user.picture },
+    joinedAt: p.joinedAt,
+    isHost: p.isHost,
+    role: room.getRole(p.user._id),
+    isActive: p.isActive,
+  };
+}
 
-function addUserSocket(userId, socketId) {
-  const set = userSockets.get(userId) || new Set();
-  set.add(socketId);
-  userSockets.set(userId, set);
+function emitToUserInSameRoom(userId, roomId, event, payload) {
+  const targetSockets = getUserSocketsInRoom(io, userId, roomId);
+  for (const s of targetSockets) {
+    s.emit(event, payload);
+  }
+  return targetSockets.length;
 }
 
-function removeUserSocket(userId, socketId) {
-  const set = userSockets.get(userId);
-  if (!set) return;
-  set.delete(socketId);
-  if (set.size === 0) userSockets.delete(userId);
+function isUserInRoom(userId, roomId) {
+  return getUserSocketsInRoom(io, userId, roomId).length > 0;
 }
 
-function getUserSocketIds(userId) {
-  return userSockets.get(userId) || new Set();
+// Host handover: roomId -> pending timeout while a disconnected host may return
+const hostHandoverTimers = new Map();
+
+async function broadcastHostChanged(roomId, previousHostId, reason) {
+  const room = await Room.findById(roomId)
+    .populate('host', 'name picture')
+    .populate('participants.user', 'name picture');
+  if (!room) return;
+  io.to(roomId).emit('host-changed', {
+    previousHostId,
+    host: { id: room.host._id, name: room.host.name, picture: room.host.picture },
+    reason,
+    participants: room.participants.map((p) => formatParticipant(room, p)),
+  });
 }
 
-function emitToUserInSameRoom(userId, roomId, event, payload) {
-  const targetSocketIds = Array.from(getUserSocketIds(userId));
-  if (targetSocketIds.length === 0) return 0;
-  let count = 0;
-  for (const sid of targetSocketIds) {
+async function handOverHost(roomId, reason) {
+  const room = await Room.findById(roomId);
+  if (!room) return;
+  const previousHostId = room.host.toString();
+  if (isUserInRoom(previousHostId, roomId)) return;
+  // Only someone actually connected can take over; otherwise the next
+  // person to join triggers another handover
+  const next = room.findNextHost((userId) => isUserInRoom(userId, roomId));
+  if (!next) {
+    console.log('[host] No eligible participant to take over room', roomId);
+    return;
+  }
+  const result = room.transferHost(next.user);
+  if (!result.success) return;
+  await room.save();
+  console.log('[host] Host of room', roomId, 'handed over from', previousHostId, 'to', room.host.toString());
+  await broadcastHostChanged(roomId, previousHostId, reason);
+}
+
+function cancelHostHandover(roomId) {
+  const timer = hostHandoverTimers.get(roomId);
+  if (timer) {
+    clearTimeout(timer);
+    hostHandoverTimers.delete(roomId);
+  }
+}
+
+function scheduleHostHandover(roomId, delaySeconds) {
+  cancelHostHandover(roomId);
+  const timer = setTimeout(() => {
+    hostHandoverTimers.delete(roomId);
+    handOverHost(roomId, 'host-disconnected').catch((error) => {
+      console.error('Host handover error:', error);
+    });
+  }, delaySeconds * 1000);
+  hostHandoverTimers.set(roomId, timer);
+}
+
+// How much chat history a joining socket gets in room-joined
+const RECENT_MESSAGES_LIMIT = 50;
+
+// Puts a socket into the room and sends it the full room state. A resumed
+// session takes its old slot back silently, without join broadcasts.
+async function admitSocketToRoom(socket, roomId, { resumed = false, missed = [] } = {}) {
+  console.log('[DEBUG] Joining socket room and updating database...');
+  socket.join(roomId);
+  socket.roomId = roomId;
+  await Room.updateOne(
+    { _id: roomId, 'participants.user': { $ne: socket.userId } },
+    {
+      $addToSet: {
+        participants: {
+          user: socket.userId,
+          joinedAt: new Date(),
+          isHost: false,
+          role: 'viewer',
+          isActive: true,
+          lastSeen: new Date(),
+        },
+      },
+    }
+  );
+  await Room.updateOne(
+    { _id: roomId, 'participants.user': socket.userId },
+    { $set: { 'participants.$.isActive': true, 'participants.$.lastSeen': new Date() } }
+  );
+  const room = await Room.findById(roomId)
+    .populate('host', 'name picture')
+    .populate('participants.user', 'name picture');
+  const clock = setRoomClock(roomId, room);
+  const recentMessages = await Message.getPage(roomId, { limit: RECENT_MESSAGES_LIMIT });
+  const subtitles = await getSubtitleState(room);
+  if (!resumed) {
+    if (socket.sessionToken) endSession(socket.sessionToken, socket.id);
+    socket.sessionToken = createSession(socket.userId, roomId, socket.id);
+  }
+  socket.isMuted = room.isMuted(socket.userId);
+  if (room.host._id.toString() === socket.userId) {
+    cancelHostHandover(roomId);
+  } else if (!isUserInRoom(room.host._id.toString(), roomId) && !hostHandoverTimers.has(roomId)) {
+    // The host is gone and an earlier handover found nobody to promote
+    scheduleHostHandover(roomId, room.settings?.hostGracePeriod ?? 30);
+  }
+  console.log('[DEBUG] Emitting room-joined event...');
+  socket.emit('room-joined', {
+    room: {
+      id: room._id,
+      name: room.name,
+      host: { id: room.host._id, name: room.host.name, picture: room.host.picture },
+      movie: room.movie,
+      videoFile: signVideoFile(room.videoFile),
+      media: describeMediaSource(room.videoFile),
+      status: room.status,
+      scheduledStartAt: room.scheduledStartAt,
+      playbackState: {
+        ...room.playbackState,
+        ...getClockSnapshot(clock),
+      },
+      settings: room.settings,
+      participants: room.participants.map((p) => formatParticipant(room, p)),
+      buffering: getBufferingState(roomId),
+      readyCheck: getReadyCheck(roomId),
+      queue: formatQueue(room),
+      votes: getOpenProposals(io, room),
+      recentMessages: recentMessages.messages.map((m) => m.toClient()),
+      hasMoreMessages: recentMessages.hasMore,
+      subtitles,
+    },
+    sessionToken: socket.sessionToken,
+    resumed,
+    missed,
+  });
+
+  console.log('[DEBUG] User joined:', socket.user);
+
+  pingSocket(socket);
+  if (room.hasPermission(socket.userId, 'manageLobby') && roomLobbies.has(roomId)) {
+    socket.emit('lobby-updated', { roomId, waiting: getLobbyList(roomId) });
+  }
+  if (resumed) return;
+ 
+  // Emit to other users in the room
+  socket.to(roomId).emit('user-joined', {
+    user: socket.user,
+    userId: socket.userId,
+    participants: room.participants.map((p) => formatParticipant(room, p)),
+  });
+  console.log('[DEBUG] User emitted for other users:', socket.user);
+  
+  // Add delay before WebRTC signaling to ensure room state is settled
+  setTimeout(() => {
+    socket.to(roomId).emit('peer-joined', { peerId: socket.userId, peerName: socket.user.name });
+    console.log('[DEBUG] Peer join signal emitted for:', socket.user);
+  }, 1000);
+}
+
+// Runs once a user has really gone: after a leave, or when a disconnected
+// session's reconnect window runs out
+async function finalizeDeparture(roomId, userId, user) {
+  if (isUserInRoom(userId, roomId)) return;
+  const room = await Room.findById(roomId);
+  if (!room) return;
+  await room.removeParticipant(userId);
+  const updatedRoom = await Room.findById(roomId).populate('participants.user', 'name picture');
+  io.to(roomId).emit('user-left', {
+    user,
+    participants: updatedRoom.participants.map((p) => formatParticipant(updatedRoom, p)),
+  });
+  io.to(roomId).emit('peer-left', { peerId: userId, peerName: user?.name });
+  await endBuffering(io, roomId, userId);
+  removeFromReadyCheck(io, roomId, userId);
+  clearChatState(roomId, userId);
+  clearReactionState(roomId, userId);
+  if (room.host.toString() === userId) {
+    scheduleHostHandover(roomId, room.settings?.hostGracePeriod ?? 30);
+  }
+}
+
+// Waiting-room lobby: roomId -> Map(userId -> { user, socketIds, requestedAt, inviteCode, timer })
+const roomLobbies = new Map();
+
+function getLobbyList(roomId) {
+  const lobby = roomLobbies.get(roomId);
+  if (!lobby) return [];
+  return Array.from(lobby.entries()).map(([userId, entry]) => ({
+    userId,
+    user: entry.user,
+    requestedAt: entry.requestedAt,
+  }));
+}
+
+async function emitLobbyUpdate(roomId) {
+  const room = await Room.findById(roomId);
+  if (!room) return;
+  const payload = { roomId, waiting: getLobbyList(roomId) };
+  for (const sid of io.sockets.adapter.rooms.get(roomId) || []) {
     const s = io.sockets.sockets.get(sid);
-    if (s && s.roomId === roomId) {
-      s.emit(event, payload);
-      count++;
+    if (s && room.hasPermission(s.userId, 'manageLobby')) {
+      s.emit('lobby-updated', payload);
     }
   }
-  return count;
 }
 
+function removeFromLobby(roomId, userId) {
+  const lobby = roomLobbies.get(roomId);
+  const entry = lobby?.get(userId);
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  lobby.delete(userId);
+  if (lobby.size === 0) roomLobbies.delete(roomId);
+  for (const sid of entry.socketIds) {
+    const s = io.sockets.sockets.get(sid);
+    if (s && s.lobbyRoomId === roomId) s.lobbyRoomId = null;
+  }
+  return entry;
+}
+
+function addToLobby(socket, roomId, timeoutSeconds, inviteCode) {
+  const lobby = roomLobbies.get(roomId) || new Map();
+  roomLobbies.set(roomId, lobby);
+
+  let entry = lobby.get(socket.userId);
+  if (!entry) {
+    entry = { user: socket.user, socketIds: new Set(), requestedAt: new Date(), inviteCode: null, timer: null };
+    entry.timer = setTimeout(() => {
+      const expired = removeFromLobby(roomId, socket.userId);
+      if (!expired) return;
+      for (const sid of expired.socketIds) {
+        io.sockets.sockets.get(sid)?.emit('error', {
+          error: 'Your request to join timed out before the host responded',
+          code: 'LOBBY_TIMEOUT',
+          roomId,
+        });
+      }
+      emitLobbyUpdate(roomId).catch((error) => console.error('Lobby update error:', error));
+    }, timeoutSeconds * 1000);
+    lobby.set(socket.userId, entry);
+  }
+  entry.socketIds.add(socket.id);
+  // Redeemed only once the user is admitted
+  if (inviteCode) entry.inviteCode = inviteCode;
+  socket.lobbyRoomId = roomId;
+
+  socket.emit('lobby-waiting', { roomId, requestedAt: entry.requestedAt, timeout: timeoutSeconds });
+  return emitLobbyUpdate(roomId);
+}
+
+// Sockets must present a valid token in the handshake
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('[io] New socket connection:', socket.id);
-  socket.userId = null;
-  socket.user = null;
+  console.log('[io] New socket connection:', socket.id, { userId: socket.userId });
+  addUserSocket(socket.userId, socket.id);
+  scheduleTokenExpiry(socket);
+  User.findByIdAndUpdate(socket.userId, { isOnline: true, lastSeen: new Date() }).catch((error) => {
+    console.error('Online status error:', error);
+  });
+  socket.emit('authenticated', { user: socket.user });
   socket.roomId = null;
+  socket.lobbyRoomId = null;
+  socket.sessionToken = null;
+  socket.isMuted = false;
+
+  socket.on('refresh-token', async (data, callback) => {
+    try {
+      const result = await refreshSocketToken(socket, data?.token);
+      if (callback) callback({ success: true, ...result });
+    } catch (error) {
+      console.log('[DEBUG] Token refresh failed:', error.message);
+      if (callback) callback({ success: false, error: error.message, code: error.data?.code });
+    }
+  });
 
-  socket.on('authenticate', async (data) => {
-    try {
-      console.log('[DEBUG] Authentication request received:', { hasToken: !!(data?.token), socketId: socket.id });
-      const { token } = data || {};
-      if (!token) {
-        console.log('[DEBUG] Authentication failed: No token provided');
-        return socket.emit('auth-error', { error: 'Token required' });
-      }
-      const jwt = await import('jsonwebtoken');
-      const decoded = jwt.default.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        console.log('[DEBUG] Authentication failed: User not found');
-        return socket.emit('auth-error', { error: 'Invalid token' });
-      }
-      socket.userId = user._id.toString();
-      socket.user = { id: user._id, name: user.name, picture: user.picture };
-      addUserSocket(socket.userId, socket.id);
-      await user.updateOnlineStatus(true);
-      console.log('[DEBUG] Authentication successful:', { userId: socket.userId, userName: user.name });
-      socket.emit('authenticated', { user: socket.user });
+  socket.on('resume-session', async (data, callback) => {
+    try {
+      const { sessionToken } = data || {};
+      const resumed = sessionToken && resumeSession(sessionToken, socket.userId, socket.id);
+      if (!resumed) {
+        if (callback) callback({ success: false, error: 'Session expired' });
+        return;
+      }
+      // The old socket may not have noticed it is gone yet; it no longer owns the session
+      const previous = resumed.previousSocketId && io.sockets.sockets.get(resumed.previousSocketId);
+      if (previous && previous.id !== socket.id) previous.sessionToken = null;
+      const room = await Room.findById(resumed.roomId);
+      if (!room || room.isBanned(socket.userId) || !room.isParticipant(socket.userId)) {
+        endSession(sessionToken);
+        if (callback) callback({ success: false, error: 'Session expired' });
+        return;
+      }
+      socket.sessionToken = sessionToken;
+      await admitSocketToRoom(socket, resumed.roomId, { resumed: true, missed: resumed.missed });
+      console.log('[DEBUG] Session resumed:', { userId: socket.userId, roomId: resumed.roomId });
+      if (callback) callback({ success: true, roomId: resumed.roomId });
     } catch (error) {
-      console.log('[DEBUG] Authentication error:', error.message);
-      socket.emit('auth-error', { error: 'Authentication failed' });
+      console.error('Resume session error:', error);
+      if (callback) callback({ success: false, error: 'Failed to resume session' });
     }
   });
 
   socket.on('join-room', async (data) => {
     try {
       console.log('[DEBUG] Join room request:', { roomId: data?.roomId, userId: socket.userId, socketId: socket.id });
-      const { roomId } = data || {};
-      if (!socket.userId) {
-        console.log('[DEBUG] Join room failed: Not authenticated');
-        return socket.emit('error', { error: 'Not authenticated' });
-      }
+      const { roomId, inviteCode, password } = data || {};
       let room = await Room.findById(roomId)
+        .select('+passwordHash')
         .populate('host', 'name picture')
         .populate('participants.user', 'name picture');
       if (!room) {
@@ -119,75 +406,34 @@ io.on('connection', (socket) => {
         return socket.emit('error', { error: 'Room not found' });
       }
       console.log('[DEBUG] Room found:', { roomId, isPrivate: room.isPrivate, hostId: room.host._id });
-      const canJoin = room.canUserJoin(socket.userId);
+      const canJoin = room.canUserJoin(socket.userId, { inviteCode });
       console.log('[DEBUG] Can join check:', canJoin);
       if (!canJoin.canJoin) {
         console.log('[DEBUG] Join room failed: Cannot join -', canJoin.reason);
         return socket.emit('error', { error: canJoin.reason });
       }
-      console.log('[DEBUG] Joining socket room and updating database...');
-      socket.join(roomId);
-      socket.roomId = roomId;
-      await Room.updateOne(
-        { _id: roomId, 'participants.user': { $ne: socket.userId } },
-        {
-          $addToSet: {
-            participants: {
-              user: socket.userId,
-              joinedAt: new Date(),
-              isHost: false,
-              isActive: true,
-              lastSeen: new Date(),
-            },
-          },
-        }
-      );
-      await Room.updateOne(
-        { _id: roomId, 'participants.user': socket.userId },
-        { $set: { 'participants.$.isActive': true, 'participants.$.lastSeen': new Date() } }
-      );
-      room = await Room.findById(roomId)
-        .populate('host', 'name picture')
-        .populate('participants.user', 'name picture');
-      console.log('[DEBUG] Emitting room-joined event...');
-      socket.emit('room-joined', {
-        room: {
-          id: room._id,
-          name: room.name,
-          host: { id: room.host._id, name: room.host.name, picture: room.host.picture },
-          movie: room.movie,
-          videoFile: room.videoFile,
-          status: room.status,
-          playbackState: room.playbackState,
-          settings: room.settings,
-          participants: room.participants.map((p) => ({
-            user: { id: p.user._id, name: p.user.name, picture: p.user.picture },
-            joinedAt: p.joinedAt,
-            isHost: p.isHost,
-            isActive: p.isActive,
-          })),
-        },
-      });
-
-      console.log('[DEBUG] User joined:', socket.user);
-     
-      // Emit to other users in the room
-      socket.to(roomId).emit('user-joined', {
-        user: socket.user,
-        userId: socket.userId,
-        participants: room.participants.map((p) => ({
-          user: { id: p.user._id, name: p.user.name, picture: p.user.picture },
-          isHost: p.isHost,
-          isActive: p.isActive,
-        })),
-      });
-      console.log('[DEBUG] User emitted for other users:', socket.user);
-      
-      // Add delay before WebRTC signaling to ensure room state is settled
-      setTimeout(() => {
-        socket.to(roomId).emit('peer-joined', { peerId: socket.userId, peerName: socket.user.name });
-        console.log('[DEBUG] Peer join signal emitted for:', socket.user);
-      }, 1000);
+      if (password !== undefined && password !== null && password !== '' && getPasswordError(password)) {
+        return socket.emit('error', { error: getPasswordError(password), passwordRequired: true });
+      }
+      const passwordCheck = await room.verifyPassword(socket.userId, password);
+      if (!passwordCheck.ok) {
+        console.log('[DEBUG] Join room failed: Password check -', passwordCheck.reason);
+        return socket.emit('error', {
+          error: passwordCheck.reason,
+          passwordRequired: true,
+          ...(passwordCheck.retryAfter !== undefined && { retryAfter: passwordCheck.retryAfter }),
+          ...(passwordCheck.attemptsRemaining !== undefined && { attemptsRemaining: passwordCheck.attemptsRemaining }),
+        });
+      }
+      if (room.requiresLobby(socket.userId)) {
+        console.log('[DEBUG] Join room deferred: Waiting for host approval');
+        return addToLobby(socket, roomId, room.settings?.lobbyTimeout ?? 300, canJoin.inviteCode);
+      }
+      if (canJoin.inviteCode && !(await room.redeemInvite(canJoin.inviteCode))) {
+        console.log('[DEBUG] Join room failed: Invite already used or expired');
+        return socket.emit('error', { error: 'Invite code is no longer valid' });
+      }
+      await admitSocketToRoom(socket, roomId);
       
     } catch (error) {
       console.error('[DEBUG] Join room error:', error);
@@ -195,90 +441,859 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('lobby-admit', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const roomId = socket.roomId;
+      const room = await Room.findById(roomId);
+      if (!room || !room.hasPermission(socket.userId, 'manageLobby')) {
+        if (callback) callback({ success: false, error: 'Not allowed to manage the lobby' });
+        return;
+      }
+      const entry = removeFromLobby(roomId, String(data?.userId));
+      if (!entry) {
+        if (callback) callback({ success: false, error: 'User is not waiting in the lobby' });
+        return;
+      }
+      if (entry.inviteCode && !(await room.redeemInvite(entry.inviteCode))) {
+        for (const sid of entry.socketIds) {
+          io.sockets.sockets.get(sid)?.emit('error', { error: 'Invite code is no longer valid', roomId });
+        }
+        await emitLobbyUpdate(roomId);
+        if (callback) callback({ success: false, error: 'Their invite code is no longer valid' });
+        return;
+      }
+      for (const sid of entry.socketIds) {
+        const s = io.sockets.sockets.get(sid);
+        if (s) await admitSocketToRoom(s, roomId);
+      }
+      await emitLobbyUpdate(roomId);
+      if (callback) callback({ success: true });
+    } catch (error) {
+      console.error('Lobby admit error:', error);
+      if (callback) callback({ success: false, error: 'Failed to admit user' });
+    }
+  });
+
+  socket.on('lobby-deny', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const roomId = socket.roomId;
+      const room = await Room.findById(roomId);
+      if (!room || !room.hasPermission(socket.userId, 'manageLobby')) {
+        if (callback) callback({ success: false, error: 'Not allowed to manage the lobby' });
+        return;
+      }
+      const entry = removeFromLobby(roomId, String(data?.userId));
+      if (!entry) {
+        if (callback) callback({ success: false, error: 'User is not waiting in the lobby' });
+        return;
+      }
+      for (const sid of entry.socketIds) {
+        io.sockets.sockets.get(sid)?.emit('lobby-denied', { roomId, reason: data?.reason || null });
+      }
+      await emitLobbyUpdate(roomId);
+      if (callback) callback({ success: true });
+    } catch (error) {
+      console.error('Lobby deny error:', error);
+      if (callback) callback({ success: false, error: 'Failed to deny user' });
+    }
+  });
+
+  socket.on('lobby-cancel', async () => {
+    try {
+      const roomId = socket.lobbyRoomId;
+      if (!roomId) return;
+      removeFromLobby(roomId, socket.userId);
+      await emitLobbyUpdate(roomId);
+    } catch (error) {
+    }
+  });
+
   socket.on('leave-room', async () => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) return;
       const room = await Room.findById(socket.roomId);
       if (room) {
         await room.removeParticipant(socket.userId);
         const updatedRoom = await Room.findById(socket.roomId).populate('participants.user', 'name picture');
         socket.to(socket.roomId).emit('user-left', {
           user: socket.user,
-          participants: updatedRoom.participants.map((p) => ({
-            user: { id: p.user._id, name: p.user.name, picture: p.user.picture },
-            isHost: p.isHost,
-            isActive: p.isActive,
-          })),
+          participants: updatedRoom.participants.map((p) => formatParticipant(updatedRoom, p)),
         });
         socket.to(socket.roomId).emit('peer-left', { peerId: socket.userId, peerName: socket.user?.name });
       }
-      socket.leave(socket.roomId);
+      const roomId = socket.roomId;
+      socket.leave(roomId);
       socket.roomId = null;
+      endSession(socket.sessionToken, socket.id);
+      socket.sessionToken = null;
+      if (!isUserInRoom(socket.userId, roomId)) {
+        await endBuffering(io, roomId, socket.userId);
+        removeFromReadyCheck(io, roomId, socket.userId);
+      }
+      if (room && room.host.toString() === socket.userId) {
+        await handOverHost(roomId, 'host-left');
+      }
+    } catch (error) {
+    }
+  });
+
+  socket.on('transfer-host', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const { userId } = data || {};
+      const room = await Room.findById(socket.roomId);
+      if (!room || room.getRole(socket.userId) !== 'host') {
+        if (callback) callback({ success: false, error: 'Only the host can transfer the host role' });
+        return;
+      }
+      if (!userId) {
+        if (callback) callback({ success: false, error: 'userId is required' });
+        return;
+      }
+      const result = room.transferHost(String(userId));
+      if (!result.success) {
+        if (callback) callback({ success: false, error: result.reason });
+        return;
+      }
+      await room.save();
+      cancelHostHandover(socket.roomId);
+      await broadcastHostChanged(socket.roomId, result.previousHostId, 'transfer');
+      if (callback) callback({ success: true });
     } catch (error) {
+      console.error('Transfer host error:', error);
+      if (callback) callback({ success: false, error: 'Failed to transfer host' });
     }
   });
 
+  // Without playback control, playback events become votes in democratic
+  // mode and are ignored otherwise
   socket.on('video-play', async (data) => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) return;
       const room = await Room.findById(socket.roomId);
-      if (!room || room.host.toString() !== socket.userId.toString()) return;
-      const currentTime = (data && typeof data.currentTime === 'number') ? data.currentTime : room.playbackState?.currentTime || 0;
-      await room.updatePlaybackState({ isPlaying: true, currentTime });
-      socket.to(socket.roomId).emit('video-play', { currentTime });
+      if (!room) return;
+      const currentTime = (data && typeof data.currentTime === 'number') ? data.currentTime : undefined;
+      if (!room.hasPermission(socket.userId, 'controlPlayback')) {
+        if (room.settings.controlMode === 'democratic') await proposeOrVote(io, room, socket.userId, 'play');
+        return;
+      }
+      await applyPlay(io, room, { currentTime, except: socket.id });
     } catch (error) {
     }
   });
 
   socket.on('video-pause', async (data) => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) return;
       const room = await Room.findById(socket.roomId);
-      if (!room || room.host.toString() !== socket.userId.toString()) return;
-      await room.updatePlaybackState({ isPlaying: false });
-      socket.to(socket.roomId).emit('video-pause');
+      if (!room) return;
+      const currentTime = (data && typeof data.currentTime === 'number') ? data.currentTime : undefined;
+      if (!room.hasPermission(socket.userId, 'controlPlayback')) {
+        if (room.settings.controlMode === 'democratic') await proposeOrVote(io, room, socket.userId, 'pause');
+        return;
+      }
+      await applyPause(io, room, { currentTime, except: socket.id });
     } catch (error) {
     }
   });
 
-  socket.on('video-seek', async (data) => {
+  socket.on('video-seek', async (data, callback) => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) return;
       const room = await Room.findById(socket.roomId);
-      if (!room || room.host.toString() !== socket.userId.toString()) return;
+      if (!room) return;
       const time = data && typeof data.time === 'number' ? data.time : 0;
-      await room.updatePlaybackState({ currentTime: time });
-      socket.to(socket.roomId).emit('video-seek', { time });
+      if (!room.hasPermission(socket.userId, 'controlPlayback')) {
+        if (room.settings.controlMode === 'democratic') {
+          // Acked so the client learns about a conflicting open seek proposal
+          const result = await proposeOrVote(io, room, socket.userId, 'seek', { time });
+          if (callback) callback(result);
+        }
+        return;
+      }
+      await applySeek(io, room, { time, except: socket.id });
+    } catch (error) {
+    }
+  });
+
+  // Jumping to a bookmark is a normal synced seek for users who control
+  // playback, and a seek proposal in democratic mode
+  socket.on('bookmark-jump', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const bookmark = mongoose.isValidObjectId(data?.bookmarkId)
+        && await Bookmark.findOne({ _id: data.bookmarkId, room: socket.roomId });
+      if (!bookmark || !bookmark.isVisibleTo(socket.userId)) {
+        if (callback) callback({ success: false, error: 'Bookmark not found' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room) {
+        if (callback) callback({ success: false, error: 'Room not found' });
+        return;
+      }
+      if (bookmark.videoKey !== room.getVideoKey()) {
+        if (callback) callback({ success: false, error: 'Bookmark is for a different video' });
+        return;
+      }
+      if (room.hasPermission(socket.userId, 'controlPlayback')) {
+        await applySeek(io, room, { time: bookmark.time, reason: 'bookmark' });
+        if (callback) callback({ success: true, time: bookmark.time });
+        return;
+      }
+      if (room.settings.controlMode === 'democratic') {
+        const result = await proposeOrVote(io, room, socket.userId, 'seek', { time: bookmark.time });
+        if (callback) callback(result);
+        return;
+      }
+      if (callback) callback({ success: false, error: 'Not allowed to control playback' });
+    } catch (error) {
+      console.error('Bookmark jump error:', error);
+      if (callback) callback({ success: false, error: 'Failed to jump to bookmark' });
+    }
+  });
+
+  socket.on('vote-propose', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room) {
+        if (callback) callback({ success: false, error: 'Room not found' });
+        return;
+      }
+      const result = await proposeOrVote(io, room, socket.userId, data?.action, { time: data?.time });
+      if (callback) callback(result);
+    } catch (error) {
+      console.error('Vote propose error:', error);
+      if (callback) callback({ success: false, error: 'Failed to propose action' });
+    }
+  });
+
+  socket.on('vote-cast', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room) {
+        if (callback) callback({ success: false, error: 'Room not found' });
+        return;
+      }
+      const result = await voteOnProposal(io, room, socket.userId, data?.proposalId);
+      if (callback) callback(result);
+    } catch (error) {
+      console.error('Vote cast error:', error);
+      if (callback) callback({ success: false, error: 'Failed to cast vote' });
+    }
+  });
+
+  socket.on('video-rate', async (data) => {
+    try {
+      if (!socket.roomId) return;
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.hasPermission(socket.userId, 'controlPlayback')) return;
+      const rate = data && typeof data.rate === 'number' ? data.rate : NaN;
+      if (!(rate >= 0.5 && rate <= 2)) {
+        return socket.emit('error', { error: 'Playback rate must be between 0.5 and 2' });
+      }
+      await room.updatePlaybackState({ playbackRate: rate });
+      setRoomClock(socket.roomId, room);
+      const isPlaying = room.playbackState.isPlaying;
+      const currentTime = room.playbackState.currentTime;
+      emitScheduled(io, socket.roomId, 'video-rate', (leadMs) => ({
+        rate,
+        currentTime: currentTime + (isPlaying ? (leadMs / 1000) * rate : 0),
+      }), { except: socket.id });
+    } catch (error) {
+    }
+  });
+
+  socket.on('subtitle-offset', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.hasPermission(socket.userId, 'changeVideo')) {
+        if (callback) callback({ success: false, error: 'Not allowed to change subtitles' });
+        return;
+      }
+      const result = await setSubtitleOffset(io, room, data?.offset, socket.userId);
+      if (callback) callback(result.success ? result : { success: false, error: result.reason });
+    } catch (error) {
+      console.error('Subtitle offset error:', error);
+      if (callback) callback({ success: false, error: 'Failed to change subtitle offset' });
+    }
+  });
+
+  const queueEvents = {
+    'queue-add': async (room, data) => {
+      if (!data.videoFile) return room.addToQueue(data, socket.userId);
+      const validated = await validateMediaSource(data.videoFile, room);
+      if (!validated.success) return validated;
+      return room.addToQueue({ ...data, videoFile: validated.source }, socket.userId);
+    },
+    'queue-remove': (room, data) => room.removeFromQueue(String(data?.entryId)),
+    'queue-reorder': (room, data) => room.moveQueueEntry(String(data?.entryId), data?.index),
+  };
+
+  for (const [event, apply] of Object.entries(queueEvents)) {
+    socket.on(event, async (data, callback) => {
+      try {
+        if (!socket.roomId) {
+          if (callback) callback({ success: false, error: 'Not in room' });
+          return;
+        }
+        const room = await Room.findById(socket.roomId);
+        if (!room || !room.hasPermission(socket.userId, 'changeVideo')) {
+          if (callback) callback({ success: false, error: 'Not allowed to edit the queue' });
+          return;
+        }
+        const result = await apply(room, data || {});
+        if (!result.success) {
+          if (callback) callback({ success: false, error: result.reason });
+          return;
+        }
+        await room.save();
+        broadcastQueue(io, room);
+        if (callback) callback({ success: true });
+      } catch (error) {
+        console.error(`Queue (${event}) error:`, error);
+        if (callback) callback({ success: false, error: 'Failed to update queue' });
+      }
+    });
+  }
+
+  for (const [event, step] of [['queue-next', 1], ['queue-previous', -1]]) {
+    socket.on(event, async (data, callback) => {
+      try {
+        if (!socket.roomId) {
+          if (callback) callback({ success: false, error: 'Not in room' });
+          return;
+        }
+        const room = await Room.findById(socket.roomId);
+        if (!room) {
+          if (callback) callback({ success: false, error: 'Room not found' });
+          return;
+        }
+        if (!room.hasPermission(socket.userId, 'controlPlayback')) {
+          const result = step > 0 && room.settings.controlMode === 'democratic'
+            ? await proposeOrVote(io, room, socket.userId, 'skip')
+            : { success: false, error: 'Not allowed to control playback' };
+          if (callback) callback(result);
+          return;
+        }
+        const result = await stepQueue(io, room, step, { autoPlay: room.settings.autoPlay });
+        if (callback) callback(result.success ? { success: true, index: result.index } : { success: false, error: result.reason });
+      } catch (error) {
+        console.error(`Queue (${event}) error:`, error);
+        if (callback) callback({ success: false, error: 'Failed to change queue entry' });
+      }
+    });
+  }
+
+  // Any participant may report the end of the current entry, but only the
+  // first report for that entry advances, and only once the server clock
+  // agrees the video is over (or the reporter controls playback)
+  socket.on('video-ended', async (data) => {
+    try {
+      if (!socket.roomId) return;
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.settings.autoPlay) return;
+      const current = room.queue[room.queueIndex];
+      if ((current?._id.toString() ?? null) !== (data?.entryId ?? null)) return;
+      const clock = getRoomClock(socket.roomId);
+      const clockSaysEnded = clock && clock.duration > 0 &&
+        getExpectedPosition(clock) >= clock.duration - clock.syncTolerance;
+      if (!clockSaysEnded && !room.hasPermission(socket.userId, 'controlPlayback')) return;
+      await stepQueue(io, room, 1, { autoPlay: true });
     } catch (error) {
+      console.error('Video ended error:', error);
     }
   });
 
-  socket.on('video-metadata', async (data) => {
+  socket.on('ready-check-start', async (data, callback) => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
       const room = await Room.findById(socket.roomId);
-      if (!room || room.host.toString() !== socket.userId.toString()) return;
-      room.videoFile = { name: data.name, size: data.size, type: data.type, url: data.url };
+      if (!room || !room.hasPermission(socket.userId, 'controlPlayback')) {
+        if (callback) callback({ success: false, error: 'Not allowed to start a ready check' });
+        return;
+      }
+      const participants = new Map();
+      for (const sid of io.sockets.adapter.rooms.get(socket.roomId) || []) {
+        const s = io.sockets.sockets.get(sid);
+        if (s && s.userId) participants.set(s.userId, { userId: s.userId, name: s.user?.name });
+      }
+      startReadyCheck(io, socket.roomId, {
+        startedBy: socket.userId,
+        videoFile: room.videoFile,
+        participants: Array.from(participants.values()),
+      });
+      if (callback) callback({ success: true });
+    } catch (error) {
+      console.error('Ready check start error:', error);
+      if (callback) callback({ success: false, error: 'Failed to start ready check' });
+    }
+  });
+
+  socket.on('ready-check-confirm', (data, callback) => {
+    if (!socket.roomId) {
+      if (callback) callback({ success: false, error: 'Not in room' });
+      return;
+    }
+    const result = confirmReady(io, socket.roomId, socket.userId, data?.videoFile);
+    if (callback) callback(result);
+  });
+
+  for (const [event, action] of [['ready-check-force', forceReadyCheck], ['ready-check-cancel', cancelReadyCheck]]) {
+    socket.on(event, async (data, callback) => {
+      try {
+        if (!socket.roomId) {
+          if (callback) callback({ success: false, error: 'Not in room' });
+          return;
+        }
+        const room = await Room.findById(socket.roomId);
+        if (!room || !room.hasPermission(socket.userId, 'controlPlayback')) {
+          if (callback) callback({ success: false, error: 'Not allowed to manage the ready check' });
+          return;
+        }
+        const result = action(io, socket.roomId);
+        if (callback) callback(result);
+      } catch (error) {
+        console.error(`Ready check (${event}) error:`, error);
+        if (callback) callback({ success: false, error: 'Failed to update ready check' });
+      }
+    });
+  }
+
+  socket.on('buffering-start', async () => {
+    try {
+      if (!socket.roomId) return;
+      await startBuffering(io, socket);
+    } catch (error) {
+      console.error('Buffering start error:', error);
+    }
+  });
+
+  socket.on('buffering-end', async () => {
+    try {
+      if (!socket.roomId) return;
+      await endBuffering(io, socket.roomId, socket.userId);
+    } catch (error) {
+      console.error('Buffering end error:', error);
+    }
+  });
+
+  // Client-initiated half of the clock handshake; the server also pings
+  // every socket itself (see utils/clockSync.js)
+  socket.on('time-sync', (data, callback) => {
+    const serverReceiveTime = Date.now();
+    if (callback) {
+      callback({
+        clientSendTime: data?.clientSendTime ?? null,
+        serverReceiveTime,
+        serverSendTime: Date.now(),
+      });
+    }
+  });
+
+  socket.on('get-latency', async (data, callback) => {
+    try {
+      if (!callback) return;
+      if (!socket.roomId) return callback({ success: false, error: 'Not in room' });
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.hasPermission(socket.userId, 'controlPlayback')) {
+        return callback({ success: false, error: 'Not allowed to view latency' });
+      }
+      const byUser = new Map();
+      for (const sid of io.sockets.adapter.rooms.get(socket.roomId) || []) {
+        const s = io.sockets.sockets.get(sid);
+        if (!s || !s.userId) continue;
+        const entry = byUser.get(s.userId) || { userId: s.userId, name: s.user?.name, sockets: [] };
+        entry.sockets.push(getSocketLatency(s));
+        byUser.set(s.userId, entry);
+      }
+      const participants = Array.from(byUser.values()).map((entry) => {
+        const measured = entry.sockets.filter((l) => l.rtt !== null);
+        return {
+          ...entry,
+          rtt: measured.length ? Math.max(...measured.map((l) => l.rtt)) : null,
+        };
+      });
+      callback({ success: true, participants });
+    } catch (error) {
+      console.error('Get latency error:', error);
+      if (callback) callback({ success: false, error: 'Failed to get latency' });
+    }
+  });
+
+  // Clients report where their player is; drifting clients are told to correct
+  socket.on('sync-report', (data, callback) => {
+    if (!socket.roomId) return;
+    const clock = getRoomClock(socket.roomId);
+    if (!clock || typeof data?.currentTime !== 'number') {
+      if (callback) callback({ success: false, error: 'No playback clock for this room' });
+      return;
+    }
+    const { drift, inSync } = checkDrift(clock, data.currentTime);
+    if (!inSync) {
+      socket.emit('sync-correction', { roomId: socket.roomId, drift, ...getClockSnapshot(clock) });
+    }
+    if (callback) callback({ success: true, drift, inSync });
+  });
+
+  socket.on('video-metadata', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.hasPermission(socket.userId, 'changeVideo')) {
+        if (callback) callback({ success: false, error: 'Not allowed to change the video' });
+        return;
+      }
+      const result = await validateMediaSource(data, room);
+      if (!result.success) {
+        if (callback) callback({ success: false, error: result.reason });
+        return;
+      }
+      room.videoFile = result.source;
       await room.save();
-      socket.to(socket.roomId).emit('video-metadata', { name: data.name, size: data.size, type: data.type, url: data.url });
+      const metadata = formatVideoMetadata(room.videoFile);
+      socket.to(socket.roomId).emit('video-metadata', metadata);
+      if (callback) callback({ success: true, ...metadata });
     } catch (error) {
+      console.error('Video metadata error:', error);
+      if (callback) callback({ success: false, error: 'Failed to change the video' });
     }
   });
 
-  socket.on('chat-message', (data) => {
-    if (!socket.roomId || !socket.user) return;
-    socket.to(socket.roomId).emit('chat-message', {
-      ...data,
-      user: socket.user,
-      timestamp: new Date().toISOString(),
+  socket.on('set-role', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const { userId, role } = data || {};
+      const room = await Room.findById(socket.roomId);
+      if (!room || !room.hasPermission(socket.userId, 'manageRoles')) {
+        if (callback) callback({ success: false, error: 'Not allowed to change roles' });
+        return;
+      }
+      if (!userId) {
+        if (callback) callback({ success: false, error: 'userId is required' });
+        return;
+      }
+      const result = room.setRole(String(userId), role);
+      if (!result.success) {
+        if (callback) callback({ success: false, error: result.reason });
+        return;
+      }
+      await room.save();
+      io.to(socket.roomId).emit('role-changed', { userId: String(userId), role, changedBy: socket.userId });
+      if (callback) callback({ success: true });
+    } catch (error) {
+      console.error('Set role error:', error);
+      if (callback) callback({ success: false, error: 'Failed to change role' });
+    }
+  });
+
+  const moderationEvents = [
+    ['kick-participant', 'kick'],
+    ['ban-participant', 'ban'],
+    ['unban-participant', 'unban'],
+    ['mute-participant', 'mute'],
+    ['unmute-participant', 'unmute'],
+  ];
+
+  for (const [event, action] of moderationEvents) {
+    socket.on(event, async (data, callback) => {
+      try {
+        if (!socket.roomId) {
+          if (callback) callback({ success: false, error: 'Not in room' });
+          return;
+        }
+        const room = await Room.findById(socket.roomId);
+        if (!room) {
+          if (callback) callback({ success: false, error: 'Room not found' });
+          return;
+        }
+        const { userId, reason } = data || {};
+        const result = await moderateParticipant(io, room, action, {
+          targetId: userId && String(userId),
+          actorId: socket.userId,
+          reason,
+        });
+        if (callback) callback(result.success ? { success: true } : { success: false, error: result.error });
+      } catch (error) {
+        console.error(`Moderation (${action}) error:`, error);
+        if (callback) callback({ success: false, error: `Failed to ${action} participant` });
+      }
     });
+  }
+
+  socket.on('chat-message', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, code: 'NOT_IN_ROOM', error: 'Not in room' });
+        return;
+      }
+      if (socket.isMuted) {
+        if (callback) callback({ success: false, code: 'MUTED', error: 'You are muted in this room' });
+        return socket.emit('error', { error: 'You are muted in this room' });
+      }
+      const rawText = typeof data?.text === 'string' ? data.text : data?.message;
+      if (typeof rawText !== 'string' || !rawText.trim()) {
+        if (callback) callback({ success: false, code: 'EMPTY', error: 'Message text is required' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room) {
+        if (callback) callback({ success: false, code: 'NOT_IN_ROOM', error: 'Room not found' });
+        return;
+      }
+      const check = checkChatMessage(room, socket.userId, rawText);
+      if (!check.ok) {
+        const { ok, ...rejection } = check;
+        if (callback) callback({ success: false, ...rejection });
+        return;
+      }
+      const text = check.text;
+      let replyTo = null;
+      if (data?.replyTo) {
+        const parent = mongoose.isValidObjectId(data.replyTo)
+          && await Message.exists({ _id: data.replyTo, room: socket.roomId });
+        if (!parent) {
+          if (callback) callback({ success: false, code: 'REPLY_NOT_FOUND', error: 'Message to reply to not found' });
+          return;
+        }
+        replyTo = parent._id;
+      }
+      const clock = getRoomClock(socket.roomId);
+      const saved = await Message.create({
+        room: socket.roomId,
+        user: socket.userId,
+        text,
+        videoTime: clock ? getExpectedPosition(clock) : null,
+        replyTo,
+      });
+      const message = saved.toClient(socket.user);
+      socket.to(socket.roomId).emit('chat-message', message);
+      queueMissedEvent(socket.roomId, 'chat-message', message);
+      if (callback) {
+        callback({ success: true, id: saved._id, text: saved.text, timestamp: saved.createdAt });
+      }
+    } catch (error) {
+      console.error('Chat message error:', error);
+      if (callback) callback({ success: false, error: 'Failed to send message' });
+    }
+  });
+
+  // Loads a live message from the socket's current room
+  const findRoomMessage = async (messageId) => {
+    if (!mongoose.isValidObjectId(messageId)) return null;
+    const message = await Message.findOne({ _id: messageId, room: socket.roomId });
+    return message && !message.isDeleted ? message : null;
+  };
+
+  socket.on('chat-edit', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      if (socket.isMuted) {
+        if (callback) callback({ success: false, error: 'You are muted in this room' });
+        return;
+      }
+      const text = data?.text;
+      if (typeof text !== 'string' || !text.trim()) {
+        if (callback) callback({ success: false, error: 'Message text is required' });
+        return;
+      }
+      const message = await findRoomMessage(data.messageId);
+      if (!message) {
+        if (callback) callback({ success: false, error: 'Message not found' });
+        return;
+      }
+      if (!message.isAuthor(socket.userId)) {
+        if (callback) callback({ success: false, error: 'You can only edit your own messages' });
+        return;
+      }
+      const room = await Room.findById(socket.roomId);
+      if (!room) {
+        if (callback) callback({ success: false, code: 'NOT_IN_ROOM', error: 'Room not found' });
+        return;
+      }
+      const check = checkChatMessage(room, socket.userId, text, { isEdit: true });
+      if (!check.ok) {
+        const { ok, ...rejection } = check;
+        if (callback) callback({ success: false, ...rejection });
+        return;
+      }
+      await message.editText(check.text);
+      const update = { id: message._id, text: message.text, editedAt: message.editedAt };
+      io.to(socket.roomId).emit('chat-message-edited', update);
+      queueMissedEvent(socket.roomId, 'chat-message-edited', update);
+      if (callback) callback({ success: true, ...update });
+    } catch (error) {
+      console.error('Chat edit error:', error);
+      if (callback) callback({ success: false, error: 'Failed to edit message' });
+    }
+  });
+
+  socket.on('chat-delete', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      const message = await findRoomMessage(data?.messageId);
+      if (!message) {
+        if (callback) callback({ success: false, error: 'Message not found' });
+        return;
+      }
+      const isOwn = message.isAuthor(socket.userId);
+      if (!isOwn) {
+        const room = await Room.findById(socket.roomId);
+        if (!room || !room.hasPermission(socket.userId, 'moderateChat')) {
+          if (callback) callback({ success: false, error: 'You can only delete your own messages' });
+          return;
+        }
+        if (!room.canModerate(socket.userId, message.user)) {
+          if (callback) callback({ success: false, error: 'You cannot moderate a participant with an equal or higher role' });
+          return;
+        }
+        room.logModeration('delete-message', message.user, socket.userId, data?.reason);
+        await room.save();
+      }
+      await message.markDeleted(socket.userId);
+      const update = { id: message._id, deletedBy: socket.userId, byModerator: !isOwn };
+      io.to(socket.roomId).emit('chat-message-deleted', update);
+      queueMissedEvent(socket.roomId, 'chat-message-deleted', update);
+      if (callback) callback({ success: true, id: message._id });
+    } catch (error) {
+      console.error('Chat delete error:', error);
+      if (callback) callback({ success: false, error: 'Failed to delete message' });
+    }
+  });
+
+  socket.on('chat-react', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, error: 'Not in room' });
+        return;
+      }
+      if (socket.isMuted) {
+        if (callback) callback({ success: false, error: 'You are muted in this room' });
+        return;
+      }
+      const emoji = typeof data?.emoji === 'string' ? data.emoji.trim() : '';
+      if (!emoji || emoji.length > 16) {
+        if (callback) callback({ success: false, error: 'Invalid emoji' });
+        return;
+      }
+      const message = await findRoomMessage(data.messageId);
+      if (!message) {
+        if (callback) callback({ success: false, error: 'Message not found' });
+        return;
+      }
+      const added = await message.toggleReaction(emoji, socket.userId);
+      const update = {
+        id: message._id,
+        userId: socket.userId,
+        emoji,
+        added,
+        reactions: message.getReactionSummary(),
+      };
+      io.to(socket.roomId).emit('chat-reaction-updated', update);
+      queueMissedEvent(socket.roomId, 'chat-reaction-updated', update);
+      if (callback) callback({ success: true, added, reactions: update.reactions });
+    } catch (error) {
+      if (error.code === 'TOO_MANY_REACTIONS') {
+        if (callback) callback({ success: false, code: error.code, error: 'Too many different reactions on this message' });
+        return;
+      }
+      console.error('Chat reaction error:', error);
+      if (callback) callback({ success: false, error: 'Failed to react to message' });
+    }
+  });
+
+  socket.on('live-reaction', async (data, callback) => {
+    try {
+      if (!socket.roomId) {
+        if (callback) callback({ success: false, code: 'NOT_IN_ROOM', error: 'Not in room' });
+        return;
+      }
+      if (socket.isMuted) {
+        if (callback) callback({ success: false, code: 'MUTED', error: 'You are muted in this room' });
+        return;
+      }
+      const emoji = data?.emoji;
+      if (!isValidReaction(emoji)) {
+        if (callback) callback({ success: false, code: 'INVALID_EMOJI', error: 'Invalid emoji' });
+        return;
+      }
+      const limit = allowReaction(socket.roomId, socket.userId);
+      if (!limit.allowed) {
+        if (callback) {
+          callback({ success: false, code: 'RATE_LIMITED', error: 'Slow down', retryAfter: limit.retryAfter });
+        }
+        return;
+      }
+      const clock = getRoomClock(socket.roomId);
+      const videoTime = clock ? getExpectedPosition(clock) : null;
+      const reaction = {
+        user: socket.user,
+        emoji,
+        videoTime,
+        timestamp: new Date().toISOString(),
+      };
+      socket.to(socket.roomId).emit('live-reaction', reaction);
+      if (videoTime !== null) {
+        const room = await Room.findById(socket.roomId).select('videoFile');
+        if (room) await ReactionBucket.record(room._id, room.getVideoKey(), videoTime, emoji);
+      }
+      if (callback) callback({ success: true, videoTime });
+    } catch (error) {
+      console.error('Live reaction error:', error);
+      if (callback) callback({ success: false, error: 'Failed to send reaction' });
+    }
   });
 
   socket.on('voice-message', (data, callback) => {
-    if (!socket.roomId || !socket.user) {
+    if (!socket.roomId) {
       if (callback) callback({ success: false, error: 'Not in room' });
       return;
     }
+    if (socket.isMuted) {
+      if (callback) callback({ success: false, error: 'You are muted in this room' });
+      return;
+    }
     try {
       socket.to(socket.roomId).emit('voice-message', {
         message: {
@@ -295,7 +1310,7 @@ io.on('connection', (socket) => {
 
   // NEW: Live voice streaming handler
   socket.on('live-voice-stream', (data) => {
-    if (!socket.roomId || !socket.user) return;
+    if (!socket.roomId || !socket.user || socket.isMuted) return;
     
     try {
       // Relay live voice stream to all other participants in the room
@@ -311,7 +1326,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('video-state-request', (data) => {
-    if (!socket.roomId || !socket.user) return;
+    if (!socket.roomId) return;
     socket.to(socket.roomId).emit('video-state-request', {
       from: socket.user.id,
       roomId: socket.roomId
@@ -320,10 +1335,10 @@ io.on('connection', (socket) => {
 
   socket.on('host-video-state-request', async (data) => {
     try {
-      if (!socket.roomId || !socket.userId) return;
+      if (!socket.roomId) return;
       const roomDoc = await Room.findById(socket.roomId);
       if (!roomDoc) return;
-      if (roomDoc.host && roomDoc.host.toString() === socket.userId) {
+      if (roomDoc.hasPermission(socket.userId, 'controlPlayback')) {
         socket.to(socket.roomId).emit('host-video-state-request', {
           from: socket.userId,
           roomId: socket.roomId
@@ -334,7 +1349,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('video-state-sync', (data) => {
-    if (!socket.roomId || !socket.user) return;
+    if (!socket.roomId) return;
     socket.to(socket.roomId).emit('video-state-sync', {
       videoState: data.videoState || data,
       from: socket.user.id,
@@ -393,27 +1408,34 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', async () => {
     try {
-      if (socket.userId) {
-        removeUserSocket(socket.userId, socket.id);
-        const remaining = getUserSocketIds(socket.userId);
-        if (!remaining || remaining.size === 0) {
-          await User.findByIdAndUpdate(socket.userId, { isOnline: false, lastSeen: new Date() });
+      clearTokenExpiry(socket);
+      removeUserSocket(socket.userId, socket.id);
+      const remaining = getUserSocketIds(socket.userId);
+      if (!remaining || remaining.size === 0) {
+        await User.findByIdAndUpdate(socket.userId, { isOnline: false, lastSeen: new Date() });
+      }
+      if (socket.lobbyRoomId) {
+        const roomId = socket.lobbyRoomId;
+        const entry = roomLobbies.get(roomId)?.get(socket.userId);
+        entry?.socketIds.delete(socket.id);
+        if (entry && entry.socketIds.size === 0) {
+          removeFromLobby(roomId, socket.userId);
+          await emitLobbyUpdate(roomId);
         }
       }
-      if (socket.roomId && socket.userId) {
-        const room = await Room.findById(socket.roomId);
-        if (room) {
-          await room.removeParticipant(socket.userId);
-          const updatedRoom = await Room.findById(socket.roomId).populate('participants.user', 'name picture');
-          socket.to(socket.roomId).emit('user-left', {
-            user: socket.user,
-            participants: updatedRoom.participants.map((p) => ({
-              user: { id: p.user._id, name: p.user.name, picture: p.user.picture },
-              isHost: p.isHost,
-              isActive: p.isActive,
-            })),
+      if (socket.roomId) {
+        const { roomId, userId, user, sessionToken } = socket;
+        const room = await Room.findById(roomId);
+        const grace = room?.settings?.reconnectGracePeriod ?? 20;
+        const suspended = !isUserInRoom(userId, roomId) && room && sessionToken && grace > 0
+          && suspendSession(sessionToken, socket.id, grace * 1000, () => {
+            finalizeDeparture(roomId, userId, user).catch((error) => {
+              console.error('Finalize departure error:', error);
+            });
           });
-          socket.to(socket.roomId).emit('peer-left', { peerId: socket.userId, peerName: socket.user?.name });
+        if (!suspended) {
+          endSession(sessionToken, socket.id);
+          await finalizeDeparture(roomId, userId, user);
         }
       }
     } catch (error) {
@@ -425,4 +1447,8 @@ io.on('connection', (socket) => {
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startPartyScheduler(io);
+  startSyncTicker(io);
+  startLatencyProbe(io);
+  startUploadCleanup();
 });
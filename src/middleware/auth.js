@@ -1,5 +1,6 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Room from '../models/Room.js';
+import { verifyAccessToken, verifyStreamToken } from '../utils/authTokens.js';
 
 // Middleware to verify JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -14,7 +15,8 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Rejects expired tokens and tokens whose session was revoked
+    const decoded = await verifyAccessToken(token);
     
     // Get user from database
     const user = await User.findById(decoded.id).select('-googleId');
@@ -27,6 +29,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -44,10 +47,11 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       const user = await User.findById(decoded.id).select('-googleId');
       if (user) {
         req.user = user;
+        req.authSessionId = decoded.sid;
       }
     }
     
@@ -58,8 +62,61 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user is room host
-export const isRoomHost = async (req, res, next) => {
+// Accepts a `?token=` stream token for the room's current upload in place of
+// a signed-in participant. Without one, falls through to the next route.
+export const authenticateStreamToken = async (req, res, next) => {
+  if (!req.query.token) return next('route');
+
+  try {
+    const uploadId = verifyStreamToken(req.query.token);
+    const room = uploadId && await Room.findById(req.params.roomId);
+
+    if (!room || room.videoFile?.uploadId?.toString() !== uploadId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired stream token'
+      });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Stream token middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// Same as authenticateStreamToken, for a `?token=` on a subtitle track URL
+export const authenticateSubtitleToken = async (req, res, next) => {
+  if (!req.query.token) return next('route');
+
+  try {
+    const trackId = verifyStreamToken(req.query.token);
+    const room = trackId === req.params.trackId && await Room.findById(req.params.roomId);
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired stream token'
+      });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Subtitle token middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// Check if user holds a room permission (see ROLE_PERMISSIONS in the Room model)
+export const requireRoomPermission = (permission) => async (req, res, next) => {
   try {
     const { roomId } = req.params;
     
@@ -72,17 +129,17 @@ export const isRoomHost = async (req, res, next) => {
       });
     }
 
-    if (room.host.toString() !== req.user.id) {
+    if (!room.hasPermission(req.user.id, permission)) {
       return res.status(403).json({
         success: false,
-        error: 'Only the host can perform this action'
+        error: 'You do not have permission to perform this action'
       });
     }
 
     req.room = room;
     next();
   } catch (error) {
-    console.error('Is room host middleware error:', error);
+    console.error('Room permission middleware error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error'
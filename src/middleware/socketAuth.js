@@ -0,0 +1,108 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/authTokens.js';
+
+// Warn clients this long before their token expires so they can refresh it
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Token from the handshake: `auth: { token }` in the socket.io client, or
+// an Authorization header for clients that cannot set auth
+const getHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+  if (auth?.token) return auth.token;
+  const authHeader = headers?.authorization;
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Verifies a JWT and loads its user. Throws an error with data.code set.
+export const verifySocketToken = async (token) => {
+  if (!token) throw authError('Token required', 'TOKEN_REQUIRED');
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    if (error.code === 'SESSION_REVOKED') throw authError('Session revoked', 'SESSION_REVOKED');
+    throw authError(
+      error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+      error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    );
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) throw authError('Invalid token', 'INVALID_TOKEN');
+
+  return { user, decoded };
+};
+
+// Warns the client shortly before its token expires and disconnects it if
+// no refreshed token has arrived by then
+export const scheduleTokenExpiry = (socket) => {
+  clearTimeout(socket.tokenWarningTimer);
+  clearTimeout(socket.tokenExpiryTimer);
+  if (!socket.tokenExpiresAt) return;
+
+  const remaining = socket.tokenExpiresAt - Date.now();
+  socket.tokenWarningTimer = setTimeout(() => {
+    socket.emit('token-expiring', { expiresAt: new Date(socket.tokenExpiresAt).toISOString() });
+  }, Math.min(Math.max(remaining - EXPIRY_WARNING_MS, 0), MAX_TIMER_MS));
+
+  if (remaining > MAX_TIMER_MS) return;
+  socket.tokenExpiryTimer = setTimeout(() => {
+    socket.emit('auth-error', { error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    socket.disconnect(true);
+  }, Math.max(remaining, 0));
+};
+
+export const clearTokenExpiry = (socket) => {
+  clearTimeout(socket.tokenWarningTimer);
+  clearTimeout(socket.tokenExpiryTimer);
+};
+
+const applyToken = (socket, user, decoded) => {
+  socket.userId = user._id.toString();
+  socket.user = { id: user._id, name: user.name, picture: user.picture };
+  socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+  socket.authSessionId = decoded.sid.toString();
+};
+
+// io.use middleware: rejects the connection unless the handshake carries a
+// valid token, so every connected socket has userId and user set
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const { user, decoded } = await verifySocketToken(getHandshakeToken(socket));
+    applyToken(socket, user, decoded);
+    next();
+  } catch (error) {
+    next(error.data ? error : authError('Authentication failed', 'AUTH_FAILED'));
+  }
+};
+
+// Swaps in a refreshed token for the same user on a live socket
+export const refreshSocketToken = async (socket, token) => {
+  const { user, decoded } = await verifySocketToken(token);
+  if (user._id.toString() !== socket.userId) {
+    throw authError('Token belongs to a different user', 'USER_MISMATCH');
+  }
+  applyToken(socket, user, decoded);
+  scheduleTokenExpiry(socket);
+  return { expiresAt: socket.tokenExpiresAt ? new Date(socket.tokenExpiresAt).toISOString() : null };
+};
+
+// Disconnects every socket signed in through one of the given sessions
+export const disconnectAuthSessions = (io, sessionIds) => {
+  if (!io || !sessionIds?.length) return;
+  const revoked = new Set(sessionIds.map(id => id.toString()));
+  for (const socket of io.sockets.sockets.values()) {
+    if (!revoked.has(socket.authSessionId)) continue;
+    socket.emit('auth-error', { error: 'Session revoked', code: 'SESSION_REVOKED' });
+    socket.disconnect(true);
+  }
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import path from 'path';
+import multer from 'multer';
+import { getSubtitleFormat } from '../utils/subtitles.js';
+import { ensureVideoDir, isAllowedVideo, MAX_VIDEO_SIZE, MAX_CHUNK_SIZE } from '../utils/videoStorage.js';
+
+const MAX_SUBTITLE_SIZE = 2 * 1024 * 1024; // 2MB
+
+// Subtitle files are small and converted before storage, so keep them in memory
+export const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SUBTITLE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!getSubtitleFormat(file.originalname)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Whole-file video uploads go straight to disk under a random name.
+// Runs after requireRoomPermission, which sets req.room.
+export const videoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      ensureVideoDir(req.room._id).then(dir => cb(null, dir), cb);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: MAX_VIDEO_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedVideo(file.mimetype, file.originalname)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// One chunk of a resumable upload, written into place by the controller
+export const chunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CHUNK_SIZE, files: 1 }
+});
+
+// Refuses video uploads when the room has them turned off
+export const requireVideoUploads = (req, res, next) => {
+  if (req.room?.settings?.allowVideoUpload === false) {
+    return res.status(403).json({
+      success: false,
+      error: 'Video uploads are disabled in this room'
+    });
+  }
+  next();
+};
+
+// Wraps a multer middleware so upload errors become JSON 400 responses
+export const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'File is too large',
+        LIMIT_FILE_COUNT: 'Only one file can be uploaded at a time',
+        LIMIT_UNEXPECTED_FILE: 'Unexpected or unsupported file'
+      };
+      return res.status(400).json({
+        success: false,
+        error: messages[error.code] || error.message
+      });
+    }
+
+    next(error);
+  });
+};
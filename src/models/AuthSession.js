@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Each holds the hash of its current refresh token;
+// access tokens carry the session id (`sid`) so revoking the session
+// invalidates them too.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked-all', 'reuse-detected', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are useless; let MongoDB clean them up
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for a short device description, e.g. "Chrome on Windows"
+authSessionSchema.virtual('device').get(function () {
+  const ua = this.userAgent || '';
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([token]) => ua.includes(token))?.[1];
+  const system = systems.find(([token]) => ua.includes(token))?.[1];
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Unknown browser', system].filter(Boolean).join(' on ');
+});
+
+// Method to check whether the session can still be used
+authSessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Method to revoke the session
+authSessionSchema.methods.revoke = function (reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Method to describe the session for its owner
+authSessionSchema.methods.toClient = function (currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: this._id.toString() === currentSessionId?.toString()
+  };
+};
+
+// Static method to check that an access token's session is still live
+authSessionSchema.statics.isSessionActive = async function (sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await this.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+};
+
+// Static method to revoke every live session of a user. Returns their ids.
+authSessionSchema.statics.revokeAllForUser = async function (userId, reason = 'revoked-all') {
+  const sessions = await this.find({ user: userId, revokedAt: null }).select('_id');
+  const ids = sessions.map(session => session._id);
+  if (ids.length > 0) {
+    await this.updateMany({ _id: { $in: ids } }, { revokedAt: new Date(), revokedReason: reason });
+  }
+  return ids;
+};
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
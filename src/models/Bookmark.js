@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const bookmarkSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  videoKey: {
+    type: String, // see Room#getVideoKey
+    required: true
+  },
+  time: {
+    type: Number, // playback position in seconds
+    required: true,
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  isShared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ room: 1, videoKey: 1, time: 1 });
+
+// Method to check whether a user owns this bookmark
+bookmarkSchema.methods.isOwner = function (userId) {
+  const owner = this.user && this.user._id ? this.user._id : this.user;
+  return owner?.toString() === userId?.toString();
+};
+
+// Method to check whether a user may see this bookmark
+bookmarkSchema.methods.isVisibleTo = function (userId) {
+  return this.isShared || this.isOwner(userId);
+};
+
+// Method to shape a bookmark for clients
+bookmarkSchema.methods.toClient = function (user) {
+  const author = user || this.user || {};
+  return {
+    id: this._id,
+    roomId: this.room,
+    user: {
+      id: author._id || author.id,
+      name: author.name,
+      picture: author.picture
+    },
+    videoKey: this.videoKey,
+    time: this.time,
+    note: this.note,
+    isShared: this.isShared,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to list a user's own bookmarks plus everyone's shared ones
+bookmarkSchema.statics.findVisible = function (roomId, userId, { videoKey } = {}) {
+  const query = {
+    room: roomId,
+    $or: [{ user: userId }, { isShared: true }]
+  };
+  if (videoKey) query.videoKey = videoKey;
+
+  return this.find(query)
+    .sort({ time: 1 })
+    .populate('user', 'name picture');
+};
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+export default Bookmark;
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_REACTION_KINDS = 20;
+
+const messageSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  videoTime: {
+    type: Number, // playback position in seconds when the message was sent
+    default: null
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    text: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reactions: [{
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: 16
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for cursor pagination, newest first
+messageSchema.index({ room: 1, _id: -1 });
+
+// Method to shape a message for clients. Edit history stays server-side;
+// moderators read it through the history endpoint.
+messageSchema.methods.toClient = function (user) {
+  const author = user || this.user || {};
+  return {
+    id: this._id,
+    roomId: this.room,
+    user: {
+      id: author._id || author.id,
+      name: author.name,
+      picture: author.picture
+    },
+    text: this.isDeleted ? null : this.text,
+    videoTime: this.videoTime,
+    replyTo: this.replyTo,
+    editedAt: this.editedAt,
+    isDeleted: this.isDeleted,
+    reactions: this.isDeleted ? [] : this.getReactionSummary(),
+    timestamp: this.createdAt
+  };
+};
+
+// Method to check whether a user wrote this message
+messageSchema.methods.isAuthor = function (userId) {
+  const author = this.user && this.user._id ? this.user._id : this.user;
+  return author?.toString() === userId?.toString();
+};
+
+// Method to replace the text, keeping the previous version in the history
+messageSchema.methods.editText = async function (text) {
+  const now = new Date();
+  this.editHistory.push({ text: this.text, editedAt: now });
+  this.text = text;
+  this.editedAt = now;
+  return this.save();
+};
+
+// Method to soft-delete a message. The text is kept for moderators.
+messageSchema.methods.markDeleted = async function (actorId) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = actorId;
+  return this.save();
+};
+
+// Method to add or remove a user's reaction. Returns whether it was added.
+messageSchema.methods.toggleReaction = async function (emoji, userId) {
+  let reaction = this.reactions.find(r => r.emoji === emoji);
+  const hasReacted = reaction?.users.some(u => u.toString() === userId.toString());
+
+  if (hasReacted) {
+    reaction.users = reaction.users.filter(u => u.toString() !== userId.toString());
+    if (reaction.users.length === 0) {
+      this.reactions = this.reactions.filter(r => r.emoji !== emoji);
+    }
+  } else {
+    if (!reaction) {
+      if (this.reactions.length >= MAX_REACTION_KINDS) {
+        const error = new Error('Too many different reactions on this message');
+        error.code = 'TOO_MANY_REACTIONS';
+        throw error;
+      }
+      this.reactions.push({ emoji, users: [] });
+      reaction = this.reactions[this.reactions.length - 1];
+    }
+    reaction.users.push(userId);
+  }
+
+  await this.save();
+  return !hasReacted;
+};
+
+// Method to summarise reactions for clients
+messageSchema.methods.getReactionSummary = function () {
+  return this.reactions.map(r => ({
+    emoji: r.emoji,
+    count: r.users.length,
+    users: r.users
+  }));
+};
+
+// Static method to get a page of messages older than `before` (a message id),
+// returned oldest first
+messageSchema.statics.getPage = async function (roomId, { before, limit = 50 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const query = { room: roomId };
+  if (before) query._id = { $lt: before };
+
+  const messages = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .populate('user', 'name picture');
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize).reverse();
+
+  return {
+    messages: page,
+    hasMore,
+    nextCursor: hasMore ? page[0]._id : null
+  };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
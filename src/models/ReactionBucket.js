@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const MAX_RESOLUTION = 600;
+
+// One bucket per room, video and whole second of playback
+const reactionBucketSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  videoKey: {
+    type: String,
+    required: true
+  },
+  second: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  counts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+reactionBucketSchema.index({ room: 1, videoKey: 1, second: 1 }, { unique: true });
+
+// Static method to count one reaction at a video position
+reactionBucketSchema.statics.record = function (roomId, videoKey, videoTime, emoji) {
+  return this.updateOne(
+    { room: roomId, videoKey, second: Math.max(0, Math.floor(videoTime)) },
+    { $inc: { [`counts.${emoji}`]: 1, total: 1 } },
+    { upsert: true }
+  );
+};
+
+// Static method to build a histogram for a video, merging seconds into
+// bins of `resolution` seconds. Empty bins are left out.
+reactionBucketSchema.statics.getTimeline = async function (roomId, videoKey, { resolution = 1 } = {}) {
+  const size = Math.min(Math.max(parseInt(resolution) || 1, 1), MAX_RESOLUTION);
+  const buckets = await this.find({ room: roomId, videoKey }).sort({ second: 1 }).lean();
+
+  const bins = new Map();
+  const totals = {};
+  for (const bucket of buckets) {
+    const start = Math.floor(bucket.second / size) * size;
+    let bin = bins.get(start);
+    if (!bin) {
+      bin = { start, total: 0, counts: {} };
+      bins.set(start, bin);
+    }
+    bin.total += bucket.total;
+    for (const [emoji, count] of Object.entries(bucket.counts || {})) {
+      bin.counts[emoji] = (bin.counts[emoji] || 0) + count;
+      totals[emoji] = (totals[emoji] || 0) + count;
+    }
+  }
+
+  const timeline = Array.from(bins.values());
+  return {
+    resolution: size,
+    timeline,
+    totals,
+    peak: timeline.reduce((max, bin) => Math.max(max, bin.total), 0)
+  };
+};
+
+const ReactionBucket = mongoose.model('ReactionBucket', reactionBucketSchema);
+
+export default ReactionBucket;
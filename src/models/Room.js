@@ -1,4 +1,64 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
+import { getExpectedPosition } from '../utils/playbackClock.js';
+
+// Room roles, highest first, and what each of them is allowed to do
+export const ROLES = ['host', 'co-host', 'moderator', 'viewer'];
+
+export const ROLE_PERMISSIONS = {
+  host: ['controlPlayback', 'changeVideo', 'moderateChat', 'kick', 'ban', 'editSettings', 'manageInvites', 'manageLobby', 'manageRoles', 'deleteRoom'],
+  'co-host': ['controlPlayback', 'changeVideo', 'moderateChat', 'kick', 'ban', 'editSettings', 'manageInvites', 'manageLobby'],
+  moderator: ['moderateChat', 'kick'],
+  viewer: []
+};
+
+const MAX_QUEUE_LENGTH = 100;
+const MAX_BLOCKED_WORDS = 200;
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
+
+// How participants get the video: each viewer supplies their own copy
+// (local), a direct file URL, an HLS or DASH manifest, or a file uploaded
+// to this server. See utils/mediaSources.js for validation.
+export const MEDIA_SOURCE_TYPES = ['local', 'url', 'hls', 'dash', 'upload'];
+
+// Shared by the room's current video and its queue entries
+const mediaSourceFields = {
+  sourceType: {
+    type: String,
+    enum: [...MEDIA_SOURCE_TYPES, null],
+    default: null // older rooms; inferred from the other fields
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  type: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    default: null
+  },
+  uploadId: {
+    type: mongoose.Schema.Types.ObjectId, // set when the server hosts the file
+    ref: 'VideoUpload',
+    default: null
+  }
+};
 
 const roomSchema = new mongoose.Schema({
   name: {
@@ -41,28 +101,93 @@ const roomSchema = new mongoose.Schema({
       default: ''
     }
   },
-  videoFile: {
-    name: {
+  videoFile: mediaSourceFields,
+  queue: [{
+    title: {
       type: String,
-      default: null
+      required: true,
+      trim: true,
+      maxlength: 200
     },
-    size: {
-      type: Number,
+    videoFile: mediaSourceFields,
+    duration: {
+      type: Number, // in seconds
       default: 0
     },
-    type: {
-      type: String,
-      default: null
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    url: {
-      type: String,
-      default: null
+    addedAt: {
+      type: Date,
+      default: Date.now
     }
+  }],
+  queueIndex: {
+    type: Number,
+    default: -1 // index of the entry now playing, -1 before the queue starts
   },
   isPrivate: {
     type: Boolean,
     default: false
   },
+  isPasswordProtected: {
+    type: Boolean,
+    default: false
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordAttempts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  }],
+  invites: [{
+    code: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    singleUse: {
+      type: Boolean,
+      default: false
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    isRevoked: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   maxParticipants: {
     type: Number,
     default: 50,
@@ -75,9 +200,34 @@ const roomSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['waiting', 'playing', 'paused', 'ended'],
+    enum: ['waiting', 'open', 'playing', 'paused', 'ended'],
     default: 'waiting'
   },
+  scheduledStartAt: {
+    type: Date,
+    default: null
+  },
+  rsvps: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['going', 'maybe', 'declined'],
+      required: true
+    },
+    respondedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  subtitleOffset: {
+    type: Number,
+    default: 0, // seconds added to every subtitle cue, room-wide
+    min: -300,
+    max: 300
+  },
   playbackState: {
     isPlaying: {
       type: Boolean,
@@ -91,6 +241,12 @@ const roomSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    playbackRate: {
+      type: Number,
+      default: 1,
+      min: 0.5,
+      max: 2
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -112,6 +268,84 @@ const roomSchema = new mongoose.Schema({
     syncTolerance: {
       type: Number,
       default: 5 // seconds
+    },
+    hostGracePeriod: {
+      type: Number,
+      default: 30, // seconds before a disconnected host is replaced
+      min: 0
+    },
+    reconnectGracePeriod: {
+      type: Number,
+      default: 20, // seconds a dropped connection can resume its session
+      min: 0,
+      max: 300
+    },
+    lobbyEnabled: {
+      type: Boolean,
+      default: false
+    },
+    lobbyTimeout: {
+      type: Number,
+      default: 300, // seconds a join request waits for approval
+      min: 10
+    },
+    controlMode: {
+      type: String,
+      enum: ['host', 'democratic'],
+      default: 'host'
+    },
+    voteThreshold: {
+      type: Number,
+      default: 0.5, // share of active participants needed to pass a vote
+      min: 0.01,
+      max: 1
+    },
+    voteWindow: {
+      type: Number,
+      default: 30, // seconds a proposal stays open
+      min: 5,
+      max: 300
+    },
+    waitForBuffering: {
+      type: Boolean,
+      default: false
+    },
+    bufferingTimeout: {
+      type: Number,
+      default: 15, // seconds to hold playback for someone who is buffering
+      min: 1,
+      max: 300
+    },
+    slowMode: {
+      type: Number,
+      default: 0, // minimum seconds between chat messages per user, 0 = off
+      min: 0,
+      max: 3600
+    },
+    blockedWords: {
+      type: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 50
+      }],
+      validate: [words => words.length <= MAX_BLOCKED_WORDS, `Cannot block more than ${MAX_BLOCKED_WORDS} words`]
+    },
+    blockedWordAction: {
+      type: String,
+      enum: ['mask', 'reject'],
+      default: 'mask'
+    },
+    linkPolicy: {
+      type: String,
+      enum: ['allow', 'strip', 'block'],
+      default: 'allow'
+    },
+    maxMessageLength: {
+      type: Number,
+      default: 500,
+      min: 1,
+      max: 2000
     }
   },
   participants: [{
@@ -127,6 +361,11 @@ const roomSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'viewer'
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -136,6 +375,71 @@ const roomSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  bans: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  mutes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderationLog: [{
+    action: {
+      type: String,
+      enum: ['kick', 'ban', 'unban', 'mute', 'unmute', 'delete-message'],
+      required: true
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   tags: [{
     type: String,
     trim: true
@@ -155,7 +459,14 @@ const roomSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.passwordAttempts;
+      return ret;
+    }
+  }
 });
 
 // Indexes for better query performance
@@ -165,6 +476,12 @@ roomSchema.index({ isPrivate: 1 });
 roomSchema.index({ 'movie.name': 1 });
 roomSchema.index({ createdAt: -1 });
 roomSchema.index({ tags: 1 });
+roomSchema.index({ 'invites.code': 1 });
+roomSchema.index({ status: 1, scheduledStartAt: 1 });
+roomSchema.index({ 'rsvps.user': 1, scheduledStartAt: 1 });
+
+// Populated refs are documents, unpopulated ones are ObjectIds
+const refId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
 
 // Virtual for room URL
 roomSchema.virtual('roomUrl').get(function () {
@@ -191,6 +508,7 @@ roomSchema.methods.addParticipant = async function (userId, isHost = false) {
       user: userId,
       joinedAt: new Date(),
       isHost,
+      role: isHost ? 'host' : 'viewer',
       isActive: true,
       lastSeen: new Date()
     });
@@ -198,7 +516,10 @@ roomSchema.methods.addParticipant = async function (userId, isHost = false) {
     // Just update info
     existingParticipant.isActive = true;
     existingParticipant.lastSeen = new Date();
-    if (isHost) existingParticipant.isHost = true;
+    if (isHost) {
+      existingParticipant.isHost = true;
+      existingParticipant.role = 'host';
+    }
   }
 
   // Update counters
@@ -221,11 +542,102 @@ roomSchema.methods.removeParticipant = async function (userId) {
   return this.save();
 };
 
+// Method to add an entry to the end of the queue
+roomSchema.methods.addToQueue = function (entry, userId) {
+  if (this.queue.length >= MAX_QUEUE_LENGTH) {
+    return { success: false, reason: `The queue is limited to ${MAX_QUEUE_LENGTH} entries` };
+  }
+  if (!entry?.title) {
+    return { success: false, reason: 'Queue entries need a title' };
+  }
+
+  this.queue.push({
+    title: entry.title,
+    videoFile: entry.videoFile || {},
+    duration: entry.duration || 0,
+    addedBy: userId,
+    addedAt: new Date()
+  });
+  return { success: true, entry: this.queue[this.queue.length - 1] };
+};
+
+// Method to remove a queue entry, keeping queueIndex on the same entry
+roomSchema.methods.removeFromQueue = function (entryId) {
+  const index = this.queue.findIndex(e => e._id.toString() === entryId.toString());
+  if (index === -1) {
+    return { success: false, reason: 'Queue entry not found' };
+  }
+
+  this.queue.splice(index, 1);
+  // Removing the entry now playing leaves "next" pointing at the one after it
+  if (index <= this.queueIndex) this.queueIndex -= 1;
+  return { success: true };
+};
+
+// Method to move a queue entry to a new position, keeping queueIndex on the same entry
+roomSchema.methods.moveQueueEntry = function (entryId, toIndex) {
+  const from = this.queue.findIndex(e => e._id.toString() === entryId.toString());
+  if (from === -1) {
+    return { success: false, reason: 'Queue entry not found' };
+  }
+  if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex >= this.queue.length) {
+    return { success: false, reason: 'Invalid queue position' };
+  }
+
+  const current = this.queue[this.queueIndex]?._id.toString();
+  const [entry] = this.queue.splice(from, 1);
+  this.queue.splice(toIndex, 0, entry);
+  if (current) this.queueIndex = this.queue.findIndex(e => e._id.toString() === current);
+  return { success: true };
+};
+
+// Method to step through the queue (1 for next, -1 for previous)
+roomSchema.methods.advanceQueue = function (step = 1) {
+  const index = this.queueIndex + step;
+  if (index < 0 || index >= this.queue.length) {
+    return { success: false, reason: step > 0 ? 'No next entry in the queue' : 'No previous entry in the queue' };
+  }
+
+  const entry = this.queue[index];
+  this.queueIndex = index;
+  this.videoFile = entry.videoFile;
+  this.playbackState = {
+    isPlaying: false,
+    currentTime: 0,
+    duration: entry.duration || 0,
+    playbackRate: this.playbackState?.playbackRate || 1,
+    lastUpdated: new Date()
+  };
+  this.status = 'paused';
+  return { success: true, entry, index };
+};
+
+// Method to get where playback should be right now
+roomSchema.methods.getExpectedTime = function (now = Date.now()) {
+  return getExpectedPosition(this.playbackState, now);
+};
+
+// Method to identify the current video, so per-video data (like the
+// reaction timeline) does not mix titles played from the queue
+roomSchema.methods.getVideoKey = function () {
+  const file = this.videoFile || {};
+  if (file.hash) return `hash:${file.hash}`;
+  if (file.uploadId) return `upload:${file.uploadId}`;
+  if (file.url) return `url:${file.url}`;
+  if (file.name) return `file:${file.name}:${file.size || 0}`;
+  return 'none';
+};
+
 // Method to update playback state
 roomSchema.methods.updatePlaybackState = async function (playbackData) {
+  // Carry the clock forward so a pause without a position lands where
+  // playback actually was, not where it last started
+  const currentTime = playbackData.currentTime ?? this.getExpectedTime();
+
   this.playbackState = {
     ...this.playbackState,
     ...playbackData,
+    currentTime,
     lastUpdated: new Date()
   };
 
@@ -236,12 +648,369 @@ roomSchema.methods.updatePlaybackState = async function (playbackData) {
   return this.save();
 };
 
+// Method to check if user is (or was) a participant
+roomSchema.methods.isParticipant = function (userId) {
+  return this.participants.some(p => refId(p.user) === userId.toString());
+};
+
+// Method to get a user's role in the room
+roomSchema.methods.getRole = function (userId) {
+  if (refId(this.host) === userId.toString()) return 'host';
+
+  const participant = this.participants.find(p => refId(p.user) === userId.toString());
+  return participant?.role || 'viewer';
+};
+
+// Method to check a user's permission in the room
+roomSchema.methods.hasPermission = function (userId, permission) {
+  if (!userId) return false;
+  return ROLE_PERMISSIONS[this.getRole(userId)].includes(permission);
+};
+
+// Method to change a participant's role (the host role moves by transfer only)
+roomSchema.methods.setRole = function (userId, role) {
+  if (!ROLES.includes(role) || role === 'host') {
+    return { success: false, reason: 'Invalid role' };
+  }
+  if (refId(this.host) === userId.toString()) {
+    return { success: false, reason: "The host's role cannot be changed" };
+  }
+
+  const participant = this.participants.find(p => refId(p.user) === userId.toString());
+  if (!participant) {
+    return { success: false, reason: 'User is not a participant' };
+  }
+
+  participant.role = role;
+  return { success: true, participant };
+};
+
+// Method to pick who should take over as host: co-hosts first, then whoever
+// has been in the room longest
+roomSchema.methods.findNextHost = function (isEligible = () => true) {
+  const hostId = refId(this.host);
+  const candidates = this.participants
+    .filter(p => p.isActive && refId(p.user) !== hostId && isEligible(refId(p.user)))
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+
+  return candidates.find(p => p.role === 'co-host') || candidates[0] || null;
+};
+
+// Method to hand the host role to another active participant
+roomSchema.methods.transferHost = function (userId) {
+  const previousHostId = refId(this.host);
+  if (previousHostId === userId.toString()) {
+    return { success: false, reason: 'User is already the host' };
+  }
+
+  const next = this.participants.find(p => refId(p.user) === userId.toString());
+  if (!next || !next.isActive) {
+    return { success: false, reason: 'User is not an active participant' };
+  }
+
+  const previous = this.participants.find(p => refId(p.user) === previousHostId);
+  if (previous) {
+    previous.isHost = false;
+    previous.role = 'co-host';
+  }
+
+  next.isHost = true;
+  next.role = 'host';
+  this.host = refId(next.user);
+
+  return { success: true, previousHostId };
+};
+
+// Method to check whether actor outranks target (required to kick, ban or mute)
+roomSchema.methods.canModerate = function (actorId, targetId) {
+  if (actorId.toString() === targetId.toString()) return false;
+  return ROLES.indexOf(this.getRole(actorId)) < ROLES.indexOf(this.getRole(targetId));
+};
+
+roomSchema.methods.isBanned = function (userId) {
+  return this.bans.some(b => refId(b.user) === userId.toString());
+};
+
+roomSchema.methods.isMuted = function (userId) {
+  return this.mutes.some(m => refId(m.user) === userId.toString());
+};
+
+// Method to record a moderation action
+roomSchema.methods.logModeration = function (action, targetId, actorId, reason) {
+  this.moderationLog.push({
+    action,
+    target: targetId,
+    actor: actorId,
+    reason: reason || '',
+    createdAt: new Date()
+  });
+};
+
+// Method to remove a participant entirely (not just mark them inactive)
+roomSchema.methods.kickParticipant = function (targetId, actorId, reason) {
+  const participant = this.participants.find(p => refId(p.user) === targetId.toString());
+  if (!participant) {
+    return { success: false, reason: 'User is not a participant' };
+  }
+
+  this.participants.pull(participant._id);
+  this.currentParticipants = this.participants.filter(p => p.isActive).length;
+  this.logModeration('kick', targetId, actorId, reason);
+  return { success: true };
+};
+
+roomSchema.methods.banUser = function (targetId, actorId, reason) {
+  if (this.isBanned(targetId)) {
+    return { success: false, reason: 'User is already banned' };
+  }
+
+  this.bans.push({ user: targetId, bannedBy: actorId, reason: reason || '', createdAt: new Date() });
+
+  const participant = this.participants.find(p => refId(p.user) === targetId.toString());
+  if (participant) {
+    this.participants.pull(participant._id);
+    this.currentParticipants = this.participants.filter(p => p.isActive).length;
+  }
+
+  this.logModeration('ban', targetId, actorId, reason);
+  return { success: true };
+};
+
+roomSchema.methods.unbanUser = function (targetId, actorId, reason) {
+  const ban = this.bans.find(b => refId(b.user) === targetId.toString());
+  if (!ban) {
+    return { success: false, reason: 'User is not banned' };
+  }
+
+  this.bans.pull(ban._id);
+  this.logModeration('unban', targetId, actorId, reason);
+  return { success: true };
+};
+
+roomSchema.methods.muteUser = function (targetId, actorId, reason) {
+  if (this.isMuted(targetId)) {
+    return { success: false, reason: 'User is already muted' };
+  }
+
+  this.mutes.push({ user: targetId, mutedBy: actorId, reason: reason || '', createdAt: new Date() });
+  this.logModeration('mute', targetId, actorId, reason);
+  return { success: true };
+};
+
+roomSchema.methods.unmuteUser = function (targetId, actorId, reason) {
+  const mute = this.mutes.find(m => refId(m.user) === targetId.toString());
+  if (!mute) {
+    return { success: false, reason: 'User is not muted' };
+  }
+
+  this.mutes.pull(mute._id);
+  this.logModeration('unmute', targetId, actorId, reason);
+  return { success: true };
+};
+
+// Method to create an invite code
+roomSchema.methods.createInvite = function (userId, { expiresInMinutes, singleUse } = {}) {
+  const invite = {
+    code: crypto.randomBytes(6).toString('hex'),
+    createdBy: userId,
+    createdAt: new Date(),
+    expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60 * 1000) : null,
+    singleUse: !!singleUse,
+    uses: 0,
+    isRevoked: false
+  };
+
+  this.invites.push(invite);
+  return this.invites[this.invites.length - 1];
+};
+
+// Method to find an invite that can still be used
+roomSchema.methods.findValidInvite = function (code) {
+  if (!code) return null;
+
+  const invite = this.invites.find(i => i.code === code);
+  if (!invite || invite.isRevoked) return null;
+  if (invite.expiresAt && invite.expiresAt <= new Date()) return null;
+  if (invite.singleUse && invite.uses > 0) return null;
+
+  return invite;
+};
+
+// Method to revoke an invite code
+roomSchema.methods.revokeInvite = function (code) {
+  const invite = this.invites.find(i => i.code === code);
+  if (!invite || invite.isRevoked) return null;
+
+  invite.isRevoked = true;
+  invite.revokedAt = new Date();
+  return invite;
+};
+
+// Method to consume one use of an invite, atomically so a single-use code
+// cannot be redeemed twice by concurrent joins
+roomSchema.methods.redeemInvite = async function (code) {
+  const now = new Date();
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      invites: {
+        $elemMatch: {
+          code,
+          isRevoked: false,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ singleUse: false }, { uses: 0 }] }
+          ]
+        }
+      }
+    },
+    { $inc: { 'invites.$.uses': 1 } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Returns why a room password is unusable, or null if it is fine
+export const getPasswordError = (password) => {
+  if (typeof password !== 'string') return 'Password must be a string';
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Method to set or clear the room password
+roomSchema.methods.setPassword = async function (password) {
+  if (!password) {
+    this.passwordHash = null;
+    this.isPasswordProtected = false;
+  } else {
+    this.passwordHash = await bcrypt.hash(password, 10);
+    this.isPasswordProtected = true;
+  }
+  this.passwordAttempts = [];
+};
+
+// Method to verify the room password before admitting a user.
+// Requires the document to be loaded with `+passwordHash`. Each attempt is
+// reserved atomically in the database before the hash is compared, so
+// parallel guesses cannot get past the lockout.
+roomSchema.methods.verifyPassword = async function (userId, password) {
+  if (!this.isPasswordProtected) return { ok: true };
+  if (refId(this.host) === userId.toString() || this.isParticipant(userId)) return { ok: true };
+
+  const now = new Date();
+  const lockedOut = (lockedUntil) => ({
+    ok: false,
+    locked: true,
+    reason: 'Too many incorrect password attempts. Try again later',
+    retryAfter: Math.ceil((lockedUntil ? lockedUntil - now : PASSWORD_LOCKOUT_MS) / 1000)
+  });
+
+  const known = this.passwordAttempts.find(a => refId(a.user) === userId.toString());
+  if (known && known.lockedUntil && known.lockedUntil > now) {
+    return lockedOut(known.lockedUntil);
+  }
+
+  if (!password) {
+    return { ok: false, reason: 'This room requires a password' };
+  }
+  if (typeof password !== 'string') {
+    return { ok: false, reason: 'Password must be a string' };
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, 'passwordAttempts.user': { $ne: userId } },
+    { $push: { passwordAttempts: { user: userId, count: 0, lockedUntil: null } } }
+  );
+  const reserved = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      passwordAttempts: {
+        $elemMatch: {
+          user: userId,
+          count: { $lt: MAX_PASSWORD_ATTEMPTS },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        }
+      }
+    },
+    { $inc: { 'passwordAttempts.$.count': 1 } },
+    { new: true, projection: { passwordAttempts: 1 } }
+  );
+
+  if (!reserved) {
+    const current = await this.constructor.findById(this._id).select('passwordAttempts');
+    const attempt = current?.passwordAttempts.find(a => refId(a.user) === userId.toString());
+    return lockedOut(attempt?.lockedUntil > now ? attempt.lockedUntil : null);
+  }
+
+  if (await bcrypt.compare(password, this.passwordHash)) {
+    await this.constructor.updateOne({ _id: this._id }, { $pull: { passwordAttempts: { user: userId } } });
+    return { ok: true };
+  }
+
+  const attempt = reserved.passwordAttempts.find(a => refId(a.user) === userId.toString());
+  if (attempt.count >= MAX_PASSWORD_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + PASSWORD_LOCKOUT_MS);
+    await this.constructor.updateOne(
+      { _id: this._id, 'passwordAttempts.user': userId },
+      { $set: { 'passwordAttempts.$.count': 0, 'passwordAttempts.$.lockedUntil': lockedUntil } }
+    );
+    return lockedOut(lockedUntil);
+  }
+
+  return {
+    ok: false,
+    reason: 'Incorrect room password',
+    attemptsRemaining: MAX_PASSWORD_ATTEMPTS - attempt.count
+  };
+};
+
+// Method to record a user's RSVP for a scheduled party
+roomSchema.methods.setRsvp = function (userId, status) {
+  const existing = this.rsvps.find(r => refId(r.user) === userId.toString());
+  if (existing) {
+    existing.status = status;
+    existing.respondedAt = new Date();
+    return existing;
+  }
+
+  this.rsvps.push({ user: userId, status, respondedAt: new Date() });
+  return this.rsvps[this.rsvps.length - 1];
+};
+
+// Method to count RSVPs by status
+roomSchema.methods.getRsvpCounts = function () {
+  return this.rsvps.reduce((counts, r) => {
+    counts[r.status] += 1;
+    return counts;
+  }, { going: 0, maybe: 0, declined: 0 });
+};
+
+// Method to check if a joiner has to wait in the lobby for approval
+roomSchema.methods.requiresLobby = function (userId) {
+  if (!this.settings?.lobbyEnabled) return false;
+  return refId(this.host) !== userId.toString() && !this.isParticipant(userId);
+};
+
 // Method to check if user can join
-roomSchema.methods.canUserJoin = function (userId) {
+roomSchema.methods.canUserJoin = function (userId, { inviteCode } = {}) {
+  if (this.isBanned(userId)) {
+    return { canJoin: false, reason: 'You are banned from this room' };
+  }
+
   if (this.currentParticipants >= this.maxParticipants) {
     return { canJoin: false, reason: 'Room is full' };
   }
 
+  if (this.isPrivate && refId(this.host) !== userId.toString() && !this.isParticipant(userId)) {
+    const invite = this.findValidInvite(inviteCode);
+    if (!invite) {
+      return { canJoin: false, reason: 'This room is private. A valid invite code is required' };
+    }
+    return { canJoin: true, inviteCode: invite.code };
+  }
+
   return { canJoin: true };
 };
 
@@ -254,6 +1023,19 @@ roomSchema.statics.getPublicRooms = function (limit = 20, skip = 0) {
     .skip(skip);
 };
 
+// Static method to get upcoming scheduled parties a user hosts or has RSVP'd to
+roomSchema.statics.getUpcomingForUser = function (userId) {
+  return this.find({
+    scheduledStartAt: { $gt: new Date() },
+    $or: [
+      { host: userId },
+      { rsvps: { $elemMatch: { user: userId, status: { $in: ['going', 'maybe'] } } } }
+    ]
+  })
+    .populate('host', 'name picture')
+    .sort({ scheduledStartAt: 1 });
+};
+
 // Static method to search rooms
 roomSchema.statics.searchRooms = function (query, limit = 20) {
   return this.find({
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A subtitle track, stored as WebVTT whatever format was uploaded
+const subtitleSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  language: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/, 'language must be a BCP 47 code such as "en" or "pt-br"']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  originalFormat: {
+    type: String,
+    enum: ['srt', 'vtt'],
+    required: true
+  },
+  originalName: String,
+  content: {
+    type: String,
+    required: true,
+    select: false
+  },
+  cueCount: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+subtitleSchema.index({ room: 1, createdAt: 1 });
+
+// Method to describe a track for clients (without its content)
+subtitleSchema.methods.toClient = function () {
+  return {
+    id: this._id,
+    language: this.language,
+    label: this.label || this.language,
+    originalFormat: this.originalFormat,
+    cueCount: this.cueCount,
+    url: `/api/rooms/${this.room}/subtitles/${this._id}`,
+    uploadedBy: this.uploadedBy,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to list a room's tracks, oldest first
+subtitleSchema.statics.listForRoom = async function (roomId) {
+  const tracks = await this.find({ room: roomId }).sort({ createdAt: 1 });
+  return tracks.map(track => track.toClient());
+};
+
+const Subtitle = mongoose.model('Subtitle', subtitleSchema);
+
+export default Subtitle;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A video file being uploaded to (or stored on) the server's disk
+const videoUploadSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  received: {
+    type: Number,
+    default: 0
+  },
+  // Set while a chunk is being written, so only one request writes at a time
+  writeClaimedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'complete'],
+    default: 'uploading'
+  },
+  storagePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+videoUploadSchema.index({ room: 1, status: 1 });
+
+// Method to describe an upload for clients
+videoUploadSchema.methods.toClient = function ({ chunkSize } = {}) {
+  return {
+    id: this._id,
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    size: this.size,
+    received: this.received,
+    status: this.status,
+    ...(chunkSize && this.status === 'uploading' && { chunkSize }),
+    createdAt: this.createdAt,
+    completedAt: this.completedAt
+  };
+};
+
+const VideoUpload = mongoose.model('VideoUpload', videoUploadSchema);
+
+export default VideoUpload;
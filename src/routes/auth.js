@@ -5,7 +5,11 @@ import {
   updateProfile,
   logout,
   getOnlineUsers,
-  updateOnlineStatus
+  updateOnlineStatus,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 } from '../controllers/authController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
@@ -13,6 +17,7 @@ const router = express.Router();
 
 // Google OAuth
 router.post('/google', googleAuth);
+router.post('/refresh', refreshToken);
 
 // Protected routes
 router.get('/profile', authenticateToken, getProfile);
@@ -21,4 +26,9 @@ router.post('/logout', authenticateToken, logout);
 router.get('/online-users', authenticateToken, getOnlineUsers);
 router.put('/online-status', authenticateToken, updateOnlineStatus);
 
+// Sessions (signed-in devices)
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeAllSessions);
+router.delete('/sessions/:sessionId', authenticateToken, revokeSession);
+
 export default router; 
\ No newline at end of file
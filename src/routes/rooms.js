@@ -7,9 +7,54 @@ import {
   deleteRoom,
   joinRoom,
   leaveRoom,
-  getUserRooms
+  getUserRooms,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  setParticipantRole,
+  kickParticipant,
+  banParticipant,
+  unbanParticipant,
+  muteParticipant,
+  unmuteParticipant,
+  getBans,
+  getModerationLog,
+  setRsvp,
+  getUserUpcomingRooms,
+  exportRoomCalendar,
+  getQueue,
+  addQueueEntry,
+  removeQueueEntry,
+  moveQueueEntry,
+  playNextInQueue,
+  playPreviousInQueue,
+  getMessages,
+  getMessageHistory,
+  getReactionTimeline,
+  getBookmarks,
+  createBookmark,
+  updateBookmark,
+  deleteBookmark,
+  getSubtitles,
+  uploadSubtitle,
+  getSubtitleTrack,
+  deleteSubtitle,
+  updateSubtitleOffset,
+  uploadVideo,
+  createVideoUpload,
+  getVideoUpload,
+  uploadVideoChunk,
+  abortVideoUpload,
+  streamVideo
 } from '../controllers/roomController.js';
-import { authenticateToken, optionalAuth, isRoomHost, isRoomParticipant } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth, requireRoomPermission, isRoomParticipant, authenticateStreamToken, authenticateSubtitleToken } from '../middleware/auth.js';
+import {
+  subtitleUpload,
+  videoUpload,
+  chunkUpload,
+  requireVideoUploads,
+  handleUpload
+} from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -19,10 +64,70 @@ router.get('/:roomId', optionalAuth, getRoom);
 
 // Protected routes
 router.post('/', authenticateToken, createRoom);
-router.put('/:roomId', authenticateToken, isRoomHost, updateRoom);
-router.delete('/:roomId', authenticateToken, isRoomHost, deleteRoom);
+router.put('/:roomId', authenticateToken, requireRoomPermission('editSettings'), updateRoom);
+router.delete('/:roomId', authenticateToken, requireRoomPermission('deleteRoom'), deleteRoom);
 router.post('/:roomId/join', authenticateToken, joinRoom);
 router.post('/:roomId/leave', authenticateToken, isRoomParticipant, leaveRoom);
 router.get('/user/rooms', authenticateToken, getUserRooms);
+router.get('/user/upcoming', authenticateToken, getUserUpcomingRooms);
+
+// Scheduled parties
+router.put('/:roomId/rsvp', authenticateToken, setRsvp);
+router.get('/:roomId/calendar.ics', optionalAuth, exportRoomCalendar);
+
+// Invite codes
+router.post('/:roomId/invites', authenticateToken, requireRoomPermission('manageInvites'), createInvite);
+router.get('/:roomId/invites', authenticateToken, requireRoomPermission('manageInvites'), getInvites);
+router.delete('/:roomId/invites/:code', authenticateToken, requireRoomPermission('manageInvites'), revokeInvite);
+
+// Participant roles
+router.put('/:roomId/participants/:userId/role', authenticateToken, requireRoomPermission('manageRoles'), setParticipantRole);
+
+// Moderation
+router.post('/:roomId/participants/:userId/kick', authenticateToken, requireRoomPermission('kick'), kickParticipant);
+router.post('/:roomId/participants/:userId/mute', authenticateToken, requireRoomPermission('moderateChat'), muteParticipant);
+router.delete('/:roomId/participants/:userId/mute', authenticateToken, requireRoomPermission('moderateChat'), unmuteParticipant);
+router.get('/:roomId/bans', authenticateToken, requireRoomPermission('ban'), getBans);
+router.post('/:roomId/bans', authenticateToken, requireRoomPermission('ban'), banParticipant);
+router.delete('/:roomId/bans/:userId', authenticateToken, requireRoomPermission('ban'), unbanParticipant);
+router.get('/:roomId/moderation-log', authenticateToken, requireRoomPermission('kick'), getModerationLog);
+
+// Playlist queue
+router.get('/:roomId/queue', authenticateToken, isRoomParticipant, getQueue);
+router.post('/:roomId/queue', authenticateToken, requireRoomPermission('changeVideo'), addQueueEntry);
+router.delete('/:roomId/queue/:entryId', authenticateToken, requireRoomPermission('changeVideo'), removeQueueEntry);
+router.put('/:roomId/queue/:entryId/position', authenticateToken, requireRoomPermission('changeVideo'), moveQueueEntry);
+router.post('/:roomId/queue/next', authenticateToken, requireRoomPermission('controlPlayback'), playNextInQueue);
+router.post('/:roomId/queue/previous', authenticateToken, requireRoomPermission('controlPlayback'), playPreviousInQueue);
+
+// Chat history
+router.get('/:roomId/messages', authenticateToken, isRoomParticipant, getMessages);
+router.get('/:roomId/messages/:messageId/history', authenticateToken, requireRoomPermission('moderateChat'), getMessageHistory);
+
+// Live reactions
+router.get('/:roomId/reactions/timeline', authenticateToken, isRoomParticipant, getReactionTimeline);
+
+// Bookmarks
+router.get('/:roomId/bookmarks', authenticateToken, isRoomParticipant, getBookmarks);
+router.post('/:roomId/bookmarks', authenticateToken, isRoomParticipant, createBookmark);
+router.put('/:roomId/bookmarks/:bookmarkId', authenticateToken, isRoomParticipant, updateBookmark);
+router.delete('/:roomId/bookmarks/:bookmarkId', authenticateToken, isRoomParticipant, deleteBookmark);
+
+// Subtitles
+router.get('/:roomId/subtitles', authenticateToken, isRoomParticipant, getSubtitles);
+router.post('/:roomId/subtitles', authenticateToken, requireRoomPermission('changeVideo'), handleUpload(subtitleUpload.single('file')), uploadSubtitle);
+router.put('/:roomId/subtitles/offset', authenticateToken, requireRoomPermission('changeVideo'), updateSubtitleOffset);
+router.get('/:roomId/subtitles/:trackId', authenticateSubtitleToken, getSubtitleTrack);
+router.get('/:roomId/subtitles/:trackId', authenticateToken, isRoomParticipant, getSubtitleTrack);
+router.delete('/:roomId/subtitles/:trackId', authenticateToken, requireRoomPermission('changeVideo'), deleteSubtitle);
+
+// Server-hosted video
+router.post('/:roomId/video', authenticateToken, requireRoomPermission('changeVideo'), requireVideoUploads, handleUpload(videoUpload.single('video')), uploadVideo);
+router.post('/:roomId/video/uploads', authenticateToken, requireRoomPermission('changeVideo'), requireVideoUploads, createVideoUpload);
+router.get('/:roomId/video/uploads/:uploadId', authenticateToken, requireRoomPermission('changeVideo'), getVideoUpload);
+router.put('/:roomId/video/uploads/:uploadId', authenticateToken, requireRoomPermission('changeVideo'), requireVideoUploads, handleUpload(chunkUpload.single('chunk')), uploadVideoChunk);
+router.delete('/:roomId/video/uploads/:uploadId', authenticateToken, requireRoomPermission('changeVideo'), abortVideoUpload);
+router.get('/:roomId/video/stream', authenticateStreamToken, streamVideo);
+router.get('/:roomId/video/stream', authenticateToken, isRoomParticipant, streamVideo);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import AuthSession from '../models/AuthSession.js';
+
+// Short-lived access tokens (JWT) plus long-lived, rotating refresh tokens.
+// A refresh token is "<sessionId>.<secret>"; only a hash of the secret is stored.
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const STREAM_TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '4h';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+export const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+export const generateAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    sid: session._id
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const issueTokens = (user, session, secret) => {
+  const accessToken = generateAccessToken(user, session);
+  return {
+    token: accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresAt: new Date(jwt.decode(accessToken).exp * 1000).toISOString(),
+    refreshExpiresAt: session.expiresAt.toISOString()
+  };
+};
+
+// Starts a new session for a sign-in and returns its first token pair
+export const createAuthSession = async (user, { userAgent, ip } = {}) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: (userAgent || '').slice(0, 500),
+    ip: ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { session, tokens: issueTokens(user, session, secret) };
+};
+
+// Swaps a refresh token for a new pair. Presenting a refresh token that has
+// already been rotated means it leaked, so the whole session is revoked.
+// Returns { session, tokens } or { error, code, revokedSessionId }.
+export const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret) {
+    return { error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const session = await AuthSession.findById(sessionId).catch(() => null);
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired or revoked', code: 'SESSION_REVOKED' };
+  }
+
+  const nextSecret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    { refreshTokenHash: hashToken(nextSecret), lastUsedAt: new Date() },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('reuse-detected');
+    return {
+      error: 'Refresh token reuse detected; the session has been revoked',
+      code: 'REFRESH_TOKEN_REUSED',
+      revokedSessionId: session._id
+    };
+  }
+
+  const user = await loadUser(rotated.user);
+  if (!user) {
+    await rotated.revoke('revoked');
+    return { error: 'User not found', code: 'SESSION_REVOKED' };
+  }
+
+  return { session: rotated, user, tokens: issueTokens(user, rotated, nextSecret) };
+};
+
+// Verifies an access token and that its session is still live. Throws on
+// failure with `code` set; returns the decoded payload.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid || !(await AuthSession.isSessionActive(decoded.sid, decoded.id))) {
+    const error = new Error('Session revoked');
+    error.code = 'SESSION_REVOKED';
+    throw error;
+  }
+  return decoded;
+};
+
+// Stream tokens let <video> and <track> elements, which cannot send an
+// Authorization header, fetch one uploaded video or subtitle track. They are
+// tied to that resource, so replacing it invalidates them.
+export const generateStreamToken = (resourceId) => jwt.sign(
+  { resource: resourceId.toString(), purpose: 'stream' },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_TTL }
+);
+
+// Returns the resource id a stream token grants, or null if it is not valid
+export const verifyStreamToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'stream' && decoded.resource ? decoded.resource : null;
+  } catch {
+    return null;
+  }
+};
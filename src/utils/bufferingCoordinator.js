@@ -0,0 +1,113 @@
+import Room from '../models/Room.js';
+import { setRoomClock } from './playbackClock.js';
+import { emitScheduled } from './clockSync.js';
+
+// "Wait for everyone": roomId -> { buffering: Map(userId -> { name, since }), autoPaused, timer }
+const rooms = new Map();
+
+const getState = (roomId) => {
+  let state = rooms.get(roomId);
+  if (!state) {
+    state = { buffering: new Map(), autoPaused: false, timer: null };
+    rooms.set(roomId, state);
+  }
+  return state;
+};
+
+const cleanup = (roomId) => {
+  const state = rooms.get(roomId);
+  if (state && state.buffering.size === 0 && !state.autoPaused) rooms.delete(roomId);
+};
+
+export const getBufferingState = (roomId) => {
+  const state = rooms.get(roomId);
+  return {
+    roomId,
+    autoPaused: !!state?.autoPaused,
+    buffering: state
+      ? Array.from(state.buffering.entries()).map(([userId, entry]) => ({ userId, ...entry }))
+      : []
+  };
+};
+
+const broadcastState = (io, roomId) => {
+  io.to(roomId).emit('buffering-state', getBufferingState(roomId));
+};
+
+const resumeRoom = async (io, roomId, reason) => {
+  const state = rooms.get(roomId);
+  if (!state || !state.autoPaused) return;
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.autoPaused = false;
+
+  const room = await Room.findById(roomId);
+  if (room && !room.playbackState.isPlaying) {
+    await room.updatePlaybackState({ isPlaying: true });
+    setRoomClock(roomId, room);
+    const { currentTime } = room.playbackState;
+    const rate = room.playbackState.playbackRate || 1;
+    emitScheduled(io, roomId, 'video-play', (leadMs) => ({
+      currentTime: currentTime + (leadMs / 1000) * rate,
+      reason
+    }));
+  }
+
+  broadcastState(io, roomId);
+  cleanup(roomId);
+};
+
+export const startBuffering = async (io, socket) => {
+  const roomId = socket.roomId;
+  const state = getState(roomId);
+  if (state.buffering.has(socket.userId)) return;
+
+  state.buffering.set(socket.userId, { name: socket.user?.name, since: new Date() });
+  broadcastState(io, roomId);
+
+  if (state.autoPaused) return;
+  // Claim the pause before any await so concurrent reports pause only once
+  state.autoPaused = true;
+
+  const room = await Room.findById(roomId);
+  if (!room || !room.settings?.waitForBuffering || !room.playbackState.isPlaying) {
+    state.autoPaused = false;
+    cleanup(roomId);
+    return;
+  }
+
+  await room.updatePlaybackState({ isPlaying: false });
+  setRoomClock(roomId, room);
+  emitScheduled(io, roomId, 'video-pause', () => ({
+    currentTime: room.playbackState.currentTime,
+    reason: 'buffering'
+  }));
+
+  state.timer = setTimeout(() => {
+    resumeRoom(io, roomId, 'buffering-timeout').catch((error) => console.error('Buffering resume error:', error));
+  }, (room.settings.bufferingTimeout ?? 15) * 1000);
+
+  broadcastState(io, roomId);
+};
+
+export const endBuffering = async (io, roomId, userId) => {
+  const state = rooms.get(roomId);
+  if (!state || !state.buffering.delete(userId)) return;
+
+  broadcastState(io, roomId);
+  if (state.autoPaused && state.buffering.size === 0) {
+    await resumeRoom(io, roomId, 'buffering-resolved');
+  }
+  cleanup(roomId);
+};
+
+// A manual play or pause overrides an automatic buffering pause
+export const cancelAutoPause = (io, roomId) => {
+  const state = rooms.get(roomId);
+  if (!state || !state.autoPaused) return;
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.autoPaused = false;
+  broadcastState(io, roomId);
+  cleanup(roomId);
+};
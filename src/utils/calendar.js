@@ -0,0 +1,59 @@
+// Minimal iCalendar (RFC 5545) export for scheduled watch parties
+
+const DEFAULT_DURATION_MINUTES = 120;
+
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets must be folded
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+export const buildRoomCalendar = (room, { url } = {}) => {
+  const start = new Date(room.scheduledStartAt);
+  const durationMinutes = room.movie?.duration || DEFAULT_DURATION_MINUTES;
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+  const description = [
+    room.movie?.name && `Watching: ${room.movie.name}${room.movie.year ? ` (${room.movie.year})` : ''}`,
+    room.description,
+    url
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CinemaSync//Watch Party//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${room._id}@cinemasync`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(room.name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(url ? [`URL:${url}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,83 @@
+// Chat moderation: roomId -> Map(userId -> time of last accepted message)
+const lastMessageAt = new Map();
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches whole words only, so "ass" does not hit "class"
+const wordPattern = (words) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+const reject = (code, error, extra = {}) => ({ ok: false, code, error, ...extra });
+
+// Records an accepted message for slow mode
+const recordChatMessage = (roomId, userId) => {
+  const key = roomId.toString();
+  if (!lastMessageAt.has(key)) lastMessageAt.set(key, new Map());
+  lastMessageAt.get(key).set(userId.toString(), Date.now());
+};
+
+// Checks a chat message against the room's chat settings. Returns
+// { ok: true, text } with the text to store (masked or stripped as
+// configured), or { ok: false, code, error } with a reason code for the ack.
+// Users who can moderate chat are exempt from allowChat and slow mode.
+// Accepted new messages count for slow mode straight away, before the caller
+// awaits anything, so a burst of sends cannot all pass the check.
+export const checkChatMessage = (room, userId, text, { isEdit = false } = {}) => {
+  const settings = room.settings || {};
+  const isModerator = room.hasPermission(userId, 'moderateChat');
+
+  if (settings.allowChat === false && !isModerator) {
+    return reject('CHAT_DISABLED', 'Chat is disabled in this room');
+  }
+
+  if (!isEdit && settings.slowMode > 0 && !isModerator) {
+    const last = lastMessageAt.get(room._id.toString())?.get(userId.toString());
+    const waitMs = last ? last + settings.slowMode * 1000 - Date.now() : 0;
+    if (waitMs > 0) {
+      return reject('SLOW_MODE', `Slow mode is on: wait ${Math.ceil(waitMs / 1000)}s`, {
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+  }
+
+  let result = text.trim();
+
+  if (settings.maxMessageLength && result.length > settings.maxMessageLength) {
+    return reject('TOO_LONG', `Messages are limited to ${settings.maxMessageLength} characters`, {
+      maxLength: settings.maxMessageLength
+    });
+  }
+
+  if (settings.linkPolicy === 'block' && result.match(LINK_PATTERN)) {
+    return reject('LINKS_NOT_ALLOWED', 'Links are not allowed in this room');
+  }
+  if (settings.linkPolicy === 'strip') {
+    result = result.replace(LINK_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+    if (!result) return reject('LINKS_NOT_ALLOWED', 'Links are not allowed in this room');
+  }
+
+  const words = (settings.blockedWords || []).filter(Boolean);
+  if (words.length > 0) {
+    const pattern = wordPattern(words);
+    if (settings.blockedWordAction === 'reject' && pattern.test(result)) {
+      return reject('BLOCKED_WORD', 'Your message contains a blocked word');
+    }
+    result = result.replace(pattern, (match) => '*'.repeat(match.length));
+  }
+
+  if (!isEdit) recordChatMessage(room._id, userId);
+  return { ok: true, text: result };
+};
+
+// Forgets a user's slow mode state once they have left the room
+export const clearChatState = (roomId, userId) => {
+  const key = roomId.toString();
+  const users = lastMessageAt.get(key);
+  if (!users) return;
+  users.delete(userId.toString());
+  if (users.size === 0) lastMessageAt.delete(key);
+};
@@ -0,0 +1,104 @@
+// NTP-style clock sync between the server and each socket.
+//
+// The server sends `time-ping` with its send time (t0); the client acks with
+// when it received (t1) and answered (t2); the server notes the receive
+// time (t3). From that:
+//   rtt    = (t3 - t0) - (t2 - t1)
+//   offset = ((t1 - t0) + (t2 - t3)) / 2   (client clock minus server clock)
+
+const PING_TIMEOUT_MS = 5 * 1000;
+const PROBE_INTERVAL_MS = 30 * 1000;
+const MAX_SAMPLES = 8;
+const DEFAULT_RTT_MS = 200;
+
+// Lead time for scheduled playback commands: long enough for the slowest
+// recipient to receive them, short enough to still feel instant
+const SCHEDULE_MARGIN_MS = 100;
+const MIN_LEAD_MS = 150;
+const MAX_LEAD_MS = 1500;
+
+const recordSample = (socket, sample) => {
+  const samples = [...(socket.clockSync?.samples || []), sample].slice(-MAX_SAMPLES);
+
+  // The lowest-RTT sample has the least queueing noise, so trust its offset
+  const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  const avgRtt = samples.reduce((sum, s) => sum + s.rtt, 0) / samples.length;
+
+  socket.clockSync = {
+    samples,
+    rtt: Math.round(avgRtt),
+    offset: Math.round(best.offset),
+    updatedAt: Date.now()
+  };
+  return socket.clockSync;
+};
+
+export const pingSocket = (socket) => new Promise((resolve) => {
+  const t0 = Date.now();
+  socket.timeout(PING_TIMEOUT_MS).emit('time-ping', { serverTime: t0 }, (err, reply) => {
+    const t3 = Date.now();
+    if (err || !reply) return resolve(null);
+
+    const t1 = Number(reply.clientReceiveTime ?? reply.clientTime);
+    const t2 = Number(reply.clientSendTime ?? reply.clientTime);
+    if (!Number.isFinite(t1) || !Number.isFinite(t2)) return resolve(null);
+
+    const rtt = Math.max(0, (t3 - t0) - (t2 - t1));
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+    const clockSync = recordSample(socket, { rtt, offset, at: t3 });
+    socket.emit('clock-sync', { rtt: clockSync.rtt, offset: clockSync.offset });
+    resolve(clockSync);
+  });
+});
+
+export const getSocketLatency = (socket) => ({
+  socketId: socket.id,
+  rtt: socket.clockSync?.rtt ?? null,
+  offset: socket.clockSync?.offset ?? null,
+  updatedAt: socket.clockSync?.updatedAt ?? null
+});
+
+// Re-measures every socket that is in a room
+export const startLatencyProbe = (io) => {
+  setInterval(() => {
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.roomId) pingSocket(socket);
+    }
+  }, PROBE_INTERVAL_MS);
+};
+
+const getRecipients = (io, roomId, exceptSocketId) => {
+  const recipients = [];
+  for (const sid of io.sockets.adapter.rooms.get(roomId) || []) {
+    if (sid === exceptSocketId) continue;
+    const s = io.sockets.sockets.get(sid);
+    if (s) recipients.push(s);
+  }
+  return recipients;
+};
+
+// Emits a playback command to everyone in the room except the sender, stamped
+// with the server time it should run at and that time in each recipient's clock.
+// `buildPayload(leadMs)` gets the lead so positions can be projected forward.
+export const emitScheduled = (io, roomId, event, buildPayload, { except } = {}) => {
+  const recipients = getRecipients(io, roomId, except);
+  const slowest = recipients.reduce(
+    (max, s) => Math.max(max, (s.clockSync?.rtt ?? DEFAULT_RTT_MS) / 2),
+    0
+  );
+  const leadMs = Math.min(MAX_LEAD_MS, Math.max(MIN_LEAD_MS, slowest + SCHEDULE_MARGIN_MS));
+  const serverTime = Date.now();
+  const executeAt = serverTime + leadMs;
+  const payload = buildPayload(leadMs);
+
+  for (const s of recipients) {
+    s.emit(event, {
+      ...payload,
+      serverTime,
+      executeAt,
+      localExecuteAt: executeAt + (s.clockSync?.offset ?? 0)
+    });
+  }
+
+  return { executeAt, leadMs };
+};
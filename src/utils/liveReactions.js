@@ -0,0 +1,37 @@
+// Live reaction rate limit: roomId -> Map(userId -> recent reaction times)
+const recentReactions = new Map();
+
+const REACTION_LIMIT = 5;
+const REACTION_WINDOW_MS = 3000;
+
+// A reaction is a short emoji string. Dots and dollar signs are refused
+// because emojis become keys in the timeline's counts map.
+export const isValidReaction = (emoji) =>
+  typeof emoji === 'string' && emoji.length > 0 && emoji.length <= 16 && !/[.$\s]/.test(emoji);
+
+// Sliding-window rate limit. Returns { allowed, retryAfter } and records the
+// reaction when it is allowed.
+export const allowReaction = (roomId, userId, now = Date.now()) => {
+  const key = roomId.toString();
+  if (!recentReactions.has(key)) recentReactions.set(key, new Map());
+  const users = recentReactions.get(key);
+  const times = (users.get(userId.toString()) || []).filter(t => now - t < REACTION_WINDOW_MS);
+
+  if (times.length >= REACTION_LIMIT) {
+    users.set(userId.toString(), times);
+    return { allowed: false, retryAfter: Math.ceil((times[0] + REACTION_WINDOW_MS - now) / 1000) };
+  }
+
+  times.push(now);
+  users.set(userId.toString(), times);
+  return { allowed: true };
+};
+
+// Forgets a user's rate limit state once they have left the room
+export const clearReactionState = (roomId, userId) => {
+  const key = roomId.toString();
+  const users = recentReactions.get(key);
+  if (!users) return;
+  users.delete(userId.toString());
+  if (users.size === 0) recentReactions.delete(key);
+};
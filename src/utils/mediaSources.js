@@ -0,0 +1,225 @@
+import path from 'path';
+import VideoUpload from '../models/VideoUpload.js';
+import { MEDIA_SOURCE_TYPES } from '../models/Room.js';
+import { ALLOWED_VIDEO_TYPES } from './videoStorage.js';
+import { generateStreamToken } from './authTokens.js';
+
+// Typed media sources. Every way of setting the room's video (video-metadata,
+// queue entries, finished uploads) goes through validateMediaSource, and
+// clients are told how to load the result through describeMediaSource.
+
+const parseList = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// Schemes and hosts remote sources may use. An empty host list allows any host.
+const ALLOWED_SCHEMES = parseList(process.env.MEDIA_ALLOWED_SCHEMES, 'https');
+const ALLOWED_HOSTS = parseList(process.env.MEDIA_ALLOWED_HOSTS, '');
+
+const MANIFEST_TYPES = {
+  hls: { mimeTypes: ['application/vnd.apple.mpegurl', 'application/x-mpegurl'], extension: '.m3u8' },
+  dash: { mimeTypes: ['application/dash+xml'], extension: '.mpd' }
+};
+
+const HASH_PATTERN = /^[a-f0-9]{32,128}$/i;
+
+const fail = (reason) => ({ success: false, reason });
+
+const isAllowedHost = (hostname) => ALLOWED_HOSTS.length === 0
+  || ALLOWED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+const checkRemoteUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return fail('url must be an absolute URL');
+  }
+
+  const scheme = url.protocol.slice(0, -1);
+  if (!ALLOWED_SCHEMES.includes(scheme)) {
+    return fail(`url scheme must be one of: ${ALLOWED_SCHEMES.join(', ')}`);
+  }
+  if (url.username || url.password) {
+    return fail('url must not contain credentials');
+  }
+  if (!isAllowedHost(url.hostname.toLowerCase())) {
+    return fail(`${url.hostname} is not an allowed media host`);
+  }
+  return { success: true, url };
+};
+
+const videoTypeForExtension = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return Object.keys(ALLOWED_VIDEO_TYPES).find(type => ALLOWED_VIDEO_TYPES[type].includes(extension)) || null;
+};
+
+// Older rooms have no sourceType; work it out from what was stored
+export const inferSourceType = (videoFile) => {
+  if (!videoFile) return null;
+  if (videoFile.sourceType) return videoFile.sourceType;
+  if (videoFile.uploadId) return 'upload';
+  if (videoFile.url) {
+    const extension = path.extname(videoFile.url.split(/[?#]/)[0]).toLowerCase();
+    if (extension === MANIFEST_TYPES.hls.extension) return 'hls';
+    if (extension === MANIFEST_TYPES.dash.extension) return 'dash';
+    return 'url';
+  }
+  return videoFile.name ? 'local' : null;
+};
+
+const validators = {
+  local: async (input) => {
+    if (!input.name || typeof input.name !== 'string') {
+      return fail('Local sources need the file name');
+    }
+    if (!Number.isInteger(input.size) || input.size <= 0) {
+      return fail('Local sources need the file size in bytes');
+    }
+    const type = input.type || videoTypeForExtension(input.name);
+    if (!ALLOWED_VIDEO_TYPES[type]) {
+      return fail(`Unsupported video type. Allowed: ${Object.keys(ALLOWED_VIDEO_TYPES).join(', ')}`);
+    }
+    return { success: true, source: { name: input.name, size: input.size, type, url: null } };
+  },
+
+  url: async (input) => {
+    const checked = checkRemoteUrl(input.url);
+    if (!checked.success) return checked;
+    const type = input.type || videoTypeForExtension(checked.url.pathname);
+    if (!ALLOWED_VIDEO_TYPES[type]) {
+      return fail(`Unsupported video type. Allowed: ${Object.keys(ALLOWED_VIDEO_TYPES).join(', ')}`);
+    }
+    return {
+      success: true,
+      source: {
+        name: input.name || path.basename(checked.url.pathname) || checked.url.hostname,
+        size: Number.isInteger(input.size) ? input.size : 0,
+        type,
+        url: checked.url.href
+      }
+    };
+  },
+
+  upload: async (input, room) => {
+    const upload = input.uploadId && await VideoUpload.findOne({
+      _id: input.uploadId,
+      room: room._id,
+      status: 'complete'
+    }).catch(() => null);
+    if (!upload) {
+      return fail('Upload not found or not finished');
+    }
+    return {
+      success: true,
+      source: {
+        name: upload.fileName,
+        size: upload.size,
+        type: upload.mimeType,
+        url: `/api/rooms/${room._id}/video/stream`,
+        uploadId: upload._id
+      }
+    };
+  }
+};
+
+for (const [sourceType, manifest] of Object.entries(MANIFEST_TYPES)) {
+  validators[sourceType] = async (input) => {
+    const checked = checkRemoteUrl(input.url);
+    if (!checked.success) return checked;
+    const type = (input.type || '').toLowerCase();
+    const hasExtension = checked.url.pathname.toLowerCase().endsWith(manifest.extension);
+    if (type ? !manifest.mimeTypes.includes(type) : !hasExtension) {
+      return fail(`${sourceType.toUpperCase()} sources need a ${manifest.extension} manifest or type ${manifest.mimeTypes[0]}`);
+    }
+    return {
+      success: true,
+      source: {
+        name: input.name || path.basename(checked.url.pathname),
+        size: 0,
+        type: type || manifest.mimeTypes[0],
+        url: checked.url.href
+      }
+    };
+  };
+}
+
+// Validates a media source for a room. Returns { success: true, source } with
+// the normalized fields to store, or { success: false, reason }.
+export const validateMediaSource = async (input, room) => {
+  if (!input || typeof input !== 'object') {
+    return fail('A media source is required');
+  }
+
+  const sourceType = input.sourceType || inferSourceType(input);
+  if (!MEDIA_SOURCE_TYPES.includes(sourceType)) {
+    return fail(`sourceType must be one of: ${MEDIA_SOURCE_TYPES.join(', ')}`);
+  }
+
+  if (input.hash && !HASH_PATTERN.test(input.hash)) {
+    return fail('hash must be a hex digest');
+  }
+
+  const result = await validators[sourceType](input, room);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    source: {
+      sourceType,
+      hash: input.hash ? input.hash.toLowerCase() : null,
+      uploadId: null,
+      ...result.source
+    }
+  };
+};
+
+// The video file as sent to clients. Server uploads get a stream token
+// appended to their URL; see generateStreamToken.
+export const signVideoFile = (videoFile) => {
+  if (!videoFile || inferSourceType(videoFile) !== 'upload' || !videoFile.url) return videoFile;
+  return { ...videoFile, url: `${videoFile.url}?token=${generateStreamToken(videoFile.uploadId)}` };
+};
+
+// Tells clients how to load a source: pick a local file, play the URL
+// natively, or attach an HLS/DASH player. Pass `signed: false` for callers
+// that may not stream the room's upload; its url is then null.
+export const describeMediaSource = (videoFile, { signed = true } = {}) => {
+  const sourceType = inferSourceType(videoFile);
+  if (!sourceType) return null;
+
+  const loaders = {
+    local: 'file',
+    url: 'native',
+    upload: 'native',
+    hls: 'hls',
+    dash: 'dash'
+  };
+
+  return {
+    sourceType,
+    loader: loaders[sourceType],
+    url: sourceType === 'local' || (sourceType === 'upload' && !signed) ? null : signVideoFile(videoFile).url,
+    mimeType: videoFile.type,
+    name: videoFile.name,
+    size: videoFile.size,
+    hash: videoFile.hash,
+    requiresLocalFile: sourceType === 'local'
+  };
+};
+
+// The video-metadata payload, the same whichever path changed the video
+export const formatVideoMetadata = (videoFile) => {
+  const { sourceType, name, size, type, url, hash, uploadId } = signVideoFile(videoFile) || {};
+  return {
+    sourceType: sourceType || inferSourceType(videoFile),
+    name,
+    size,
+    type,
+    url,
+    hash,
+    uploadId,
+    media: describeMediaSource(videoFile)
+  };
+};
@@ -0,0 +1,66 @@
+import { getUserSocketsInRoom } from './userSockets.js';
+import { endBuffering } from './bufferingCoordinator.js';
+import { endSession } from './roomSessions.js';
+import { removeFromReadyCheck } from './readyCheck.js';
+
+// Kick, ban and mute actions, with the notices each one sends
+const ACTIONS = {
+  kick: { permission: 'kick', method: 'kickParticipant', notice: 'kicked', broadcast: 'participant-kicked', evict: true },
+  ban: { permission: 'ban', method: 'banUser', notice: 'banned', broadcast: 'participant-banned', evict: true },
+  unban: { permission: 'ban', method: 'unbanUser', notice: null, broadcast: 'participant-unbanned' },
+  mute: { permission: 'moderateChat', method: 'muteUser', notice: 'muted', broadcast: 'participant-muted', muted: true },
+  unmute: { permission: 'moderateChat', method: 'unmuteUser', notice: 'unmuted', broadcast: 'participant-unmuted', muted: false }
+};
+
+export const moderateParticipant = async (io, room, action, { targetId, actorId, reason }) => {
+  const config = ACTIONS[action];
+  if (!config) {
+    return { success: false, status: 400, error: 'Unknown moderation action' };
+  }
+
+  if (!targetId) {
+    return { success: false, status: 400, error: 'userId is required' };
+  }
+
+  if (!room.hasPermission(actorId, config.permission)) {
+    return { success: false, status: 403, error: 'You do not have permission to perform this action' };
+  }
+
+  if (!room.canModerate(actorId, targetId)) {
+    return { success: false, status: 403, error: 'You cannot moderate a participant with an equal or higher role' };
+  }
+
+  const result = room[config.method](targetId, actorId, reason);
+  if (!result.success) {
+    return { success: false, status: 400, error: result.reason };
+  }
+
+  await room.save();
+
+  if (io) {
+    const roomId = room._id.toString();
+    const notice = { roomId, action, reason: reason || null, by: actorId };
+
+    for (const s of getUserSocketsInRoom(io, targetId, roomId)) {
+      if (config.notice) s.emit(config.notice, notice);
+      if (config.muted !== undefined) s.isMuted = config.muted;
+      if (config.evict) {
+        // Its disconnect skips room cleanup once roomId is cleared, so end
+        // the resumable session here
+        if (s.sessionToken) endSession(s.sessionToken, s.id);
+        s.sessionToken = null;
+        s.leave(roomId);
+        s.roomId = null;
+      }
+    }
+
+    io.to(roomId).emit(config.broadcast, { userId: targetId, by: actorId, reason: reason || null });
+    if (config.evict) {
+      io.to(roomId).emit('peer-left', { peerId: targetId });
+      await endBuffering(io, roomId, targetId);
+      removeFromReadyCheck(io, roomId, targetId.toString());
+    }
+  }
+
+  return { success: true };
+};
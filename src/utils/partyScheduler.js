@@ -0,0 +1,59 @@
+import Room from '../models/Room.js';
+
+// Scheduled rooms are polled from the database and held here until they open,
+// so the per-second countdown never has to hit the database
+const POLL_INTERVAL_MS = 30 * 1000;
+const COUNTDOWN_WINDOW_MS = 60 * 1000;
+
+// roomId -> scheduled start time (ms)
+const upcoming = new Map();
+
+const pollScheduledRooms = async () => {
+  const horizon = new Date(Date.now() + POLL_INTERVAL_MS + COUNTDOWN_WINDOW_MS);
+  const rooms = await Room.find({
+    status: 'waiting',
+    scheduledStartAt: { $ne: null, $lte: horizon }
+  }).select('_id scheduledStartAt');
+
+  upcoming.clear();
+  for (const room of rooms) {
+    upcoming.set(room._id.toString(), room.scheduledStartAt.getTime());
+  }
+};
+
+const openRoom = async (io, roomId) => {
+  const now = new Date();
+  const result = await Room.updateOne(
+    { _id: roomId, status: 'waiting', scheduledStartAt: { $ne: null, $lte: now } },
+    { $set: { status: 'open' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log('[scheduler] Room opened:', roomId);
+    io.to(roomId).emit('party-started', { roomId, status: 'open', startedAt: now.toISOString() });
+  }
+};
+
+const tick = (io) => {
+  const now = Date.now();
+  for (const [roomId, startAt] of upcoming) {
+    const remaining = startAt - now;
+    if (remaining <= 0) {
+      upcoming.delete(roomId);
+      openRoom(io, roomId).catch((error) => console.error('Scheduler open room error:', error));
+    } else if (remaining <= COUNTDOWN_WINDOW_MS) {
+      io.to(roomId).emit('party-countdown', {
+        roomId,
+        startsAt: new Date(startAt).toISOString(),
+        secondsRemaining: Math.ceil(remaining / 1000)
+      });
+    }
+  }
+};
+
+export const startPartyScheduler = (io) => {
+  const poll = () => pollScheduledRooms().catch((error) => console.error('Scheduler poll error:', error));
+  poll();
+  setInterval(poll, POLL_INTERVAL_MS);
+  setInterval(() => tick(io), 1000);
+};
@@ -0,0 +1,73 @@
+// Server-side playback clock. Each room's last known playback state is
+// cached here so the periodic sync tick does not have to query the database.
+
+const SYNC_TICK_INTERVAL_MS = 5 * 1000;
+
+// roomId -> { isPlaying, currentTime, duration, playbackRate, lastUpdated (ms), syncTolerance }
+const clocks = new Map();
+
+// Where playback should be at `now`, given the state recorded at `lastUpdated`
+export const getExpectedPosition = (state, now = Date.now()) => {
+  if (!state) return 0;
+  const base = state.currentTime || 0;
+  if (!state.isPlaying) return base;
+
+  const elapsed = Math.max(0, now - new Date(state.lastUpdated).getTime()) / 1000;
+  const position = base + elapsed * (state.playbackRate || 1);
+  return state.duration > 0 ? Math.min(position, state.duration) : position;
+};
+
+export const setRoomClock = (roomId, room) => {
+  const state = room.playbackState || {};
+  const clock = {
+    isPlaying: !!state.isPlaying,
+    currentTime: state.currentTime || 0,
+    duration: state.duration || 0,
+    playbackRate: state.playbackRate || 1,
+    lastUpdated: new Date(state.lastUpdated || Date.now()).getTime(),
+    syncTolerance: room.settings?.syncTolerance ?? 5
+  };
+  clocks.set(roomId, clock);
+  return clock;
+};
+
+export const getRoomClock = (roomId) => clocks.get(roomId) || null;
+
+export const deleteRoomClock = (roomId) => {
+  clocks.delete(roomId);
+};
+
+// Snapshot sent to clients: the position now plus the server time it refers to
+export const getClockSnapshot = (clock, now = Date.now()) => ({
+  currentTime: getExpectedPosition(clock, now),
+  isPlaying: clock.isPlaying,
+  playbackRate: clock.playbackRate,
+  duration: clock.duration,
+  serverTime: now
+});
+
+// Compares a client's reported position with the server clock
+export const checkDrift = (clock, reportedTime, now = Date.now()) => {
+  const expected = getExpectedPosition(clock, now);
+  const drift = reportedTime - expected;
+  return {
+    expected,
+    drift,
+    inSync: Math.abs(drift) <= clock.syncTolerance
+  };
+};
+
+export const startSyncTicker = (io) => {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [roomId, clock] of clocks) {
+      if (!io.sockets.adapter.rooms.get(roomId)?.size) {
+        clocks.delete(roomId);
+        continue;
+      }
+      if (clock.isPlaying) {
+        io.to(roomId).emit('sync-tick', { roomId, ...getClockSnapshot(clock, now) });
+      }
+    }
+  }, SYNC_TICK_INTERVAL_MS);
+};
@@ -0,0 +1,46 @@
+import { setRoomClock } from './playbackClock.js';
+import { emitScheduled } from './clockSync.js';
+import { cancelAutoPause } from './bufferingCoordinator.js';
+
+// Applies a playback change to the room and sends it to everyone in the room
+// except `except` (the socket that already did it locally, if any). Positions
+// are projected to where playback will be at the scheduled executeAt.
+
+export const applyPlay = async (io, room, { currentTime, except, reason } = {}) => {
+  const roomId = room._id.toString();
+  const start = typeof currentTime === 'number' ? currentTime : room.getExpectedTime();
+  cancelAutoPause(io, roomId);
+  await room.updatePlaybackState({ isPlaying: true, currentTime: start });
+  setRoomClock(roomId, room);
+  const rate = room.playbackState.playbackRate || 1;
+  return emitScheduled(io, roomId, 'video-play', (leadMs) => ({
+    currentTime: start + (leadMs / 1000) * rate,
+    ...(reason && { reason })
+  }), { except });
+};
+
+export const applyPause = async (io, room, { currentTime, except, reason } = {}) => {
+  const roomId = room._id.toString();
+  cancelAutoPause(io, roomId);
+  await room.updatePlaybackState({
+    isPlaying: false,
+    currentTime: typeof currentTime === 'number' ? currentTime : undefined
+  });
+  setRoomClock(roomId, room);
+  return emitScheduled(io, roomId, 'video-pause', () => ({
+    currentTime: room.playbackState.currentTime,
+    ...(reason && { reason })
+  }), { except });
+};
+
+export const applySeek = async (io, room, { time, except, reason } = {}) => {
+  const roomId = room._id.toString();
+  const target = typeof time === 'number' ? time : 0;
+  await room.updatePlaybackState({ currentTime: target });
+  setRoomClock(roomId, room);
+  const rate = room.playbackState.isPlaying ? (room.playbackState.playbackRate || 1) : 0;
+  return emitScheduled(io, roomId, 'video-seek', (leadMs) => ({
+    time: target + (leadMs / 1000) * rate,
+    ...(reason && { reason })
+  }), { except });
+};
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import Room from '../models/Room.js';
+import { applyPlay, applyPause, applySeek } from './playbackCommands.js';
+import { stepQueue } from './roomQueue.js';
+
+// Democratic control mode: participants without playback control propose an
+// action, and it runs once enough of the room has voted for it in time.
+// One open proposal per action per room; proposing an action that is already
+// open counts as a vote for it. A seek to a different time while a seek is
+// open is rejected rather than counted.
+export const VOTE_ACTIONS = ['play', 'pause', 'seek', 'skip'];
+
+// Seek proposals this close together (seconds) are the same proposal
+const SEEK_TOLERANCE = 1;
+
+// roomId -> Map(action -> { id, action, params, proposedBy, votes: Set, expiresAt, timer })
+const proposals = new Map();
+
+const countActiveUsers = (io, roomId) => {
+  const users = new Set();
+  for (const sid of io.sockets.adapter.rooms.get(roomId) || []) {
+    const s = io.sockets.sockets.get(sid);
+    if (s?.userId) users.add(s.userId);
+  }
+  return users.size;
+};
+
+const requiredVotes = (io, roomId, threshold) =>
+  Math.max(1, Math.ceil(countActiveUsers(io, roomId) * threshold));
+
+const formatProposal = (proposal, required) => ({
+  id: proposal.id,
+  action: proposal.action,
+  params: proposal.params,
+  proposedBy: proposal.proposedBy,
+  votes: Array.from(proposal.votes),
+  required,
+  expiresAt: proposal.expiresAt
+});
+
+const closeProposal = (roomId, action) => {
+  const roomProposals = proposals.get(roomId);
+  const proposal = roomProposals?.get(action);
+  if (!proposal) return null;
+  clearTimeout(proposal.timer);
+  roomProposals.delete(action);
+  if (roomProposals.size === 0) proposals.delete(roomId);
+  return proposal;
+};
+
+const execute = async (io, roomId, proposal) => {
+  const room = await Room.findById(roomId);
+  if (!room) return;
+  const reason = 'vote';
+  switch (proposal.action) {
+    case 'play':
+      return applyPlay(io, room, { reason });
+    case 'pause':
+      return applyPause(io, room, { reason });
+    case 'seek':
+      return applySeek(io, room, { time: proposal.params.time, reason });
+    case 'skip':
+      return stepQueue(io, room, 1, { autoPlay: room.settings.autoPlay });
+  }
+};
+
+export const getOpenProposals = (io, room) => {
+  const roomId = room._id.toString();
+  const required = requiredVotes(io, roomId, room.settings.voteThreshold);
+  return Array.from(proposals.get(roomId)?.values() || []).map(p => formatProposal(p, required));
+};
+
+export const proposeOrVote = async (io, room, userId, action, params = {}) => {
+  if (room.settings.controlMode !== 'democratic') {
+    return { success: false, error: 'Voting is only available in democratic mode' };
+  }
+  if (!VOTE_ACTIONS.includes(action)) {
+    return { success: false, error: 'Unknown action' };
+  }
+  if (action === 'seek' && typeof params.time !== 'number') {
+    return { success: false, error: 'A seek proposal needs a time' };
+  }
+
+  const roomId = room._id.toString();
+  const roomProposals = proposals.get(roomId) || new Map();
+  proposals.set(roomId, roomProposals);
+
+  let proposal = roomProposals.get(action);
+  if (proposal && action === 'seek' && Math.abs(proposal.params.time - params.time) > SEEK_TOLERANCE) {
+    return {
+      success: false,
+      error: 'A seek to a different time is already being voted on',
+      proposal: formatProposal(proposal, requiredVotes(io, roomId, room.settings.voteThreshold))
+    };
+  }
+  if (!proposal) {
+    const windowMs = (room.settings.voteWindow ?? 30) * 1000;
+    proposal = {
+      id: crypto.randomUUID(),
+      action,
+      params: action === 'seek' ? { time: params.time } : {},
+      proposedBy: userId,
+      votes: new Set(),
+      expiresAt: new Date(Date.now() + windowMs),
+      timer: null
+    };
+    proposal.timer = setTimeout(() => {
+      const expired = closeProposal(roomId, action);
+      if (expired) {
+        io.to(roomId).emit('vote-outcome', { roomId, proposalId: expired.id, action, result: 'expired' });
+      }
+    }, windowMs);
+    roomProposals.set(action, proposal);
+  }
+
+  proposal.votes.add(userId);
+  const required = requiredVotes(io, roomId, room.settings.voteThreshold);
+  io.to(roomId).emit('vote-updated', { roomId, proposal: formatProposal(proposal, required) });
+
+  if (proposal.votes.size >= required) {
+    closeProposal(roomId, action);
+    io.to(roomId).emit('vote-outcome', { roomId, proposalId: proposal.id, action, result: 'passed', params: proposal.params });
+    await execute(io, roomId, proposal);
+  }
+
+  return { success: true, proposalId: proposal.id, votes: proposal.votes.size, required };
+};
+
+export const voteOnProposal = async (io, room, userId, proposalId) => {
+  const roomProposals = proposals.get(room._id.toString());
+  const proposal = Array.from(roomProposals?.values() || []).find(p => p.id === proposalId);
+  if (!proposal) {
+    return { success: false, error: 'Proposal not found or already closed' };
+  }
+  return proposeOrVote(io, room, userId, proposal.action, proposal.params);
+};
@@ -0,0 +1,135 @@
+import Room from '../models/Room.js';
+import { applyPlay } from './playbackCommands.js';
+
+const COUNTDOWN_SECONDS = 3;
+
+// roomId -> { startedBy, expected, entries: Map(userId -> { name, status, reason, respondedAt }), countdown }
+const checks = new Map();
+
+const summarize = (roomId) => {
+  const check = checks.get(roomId);
+  if (!check) return { roomId, active: false };
+  const participants = Array.from(check.entries.entries()).map(([userId, entry]) => ({ userId, ...entry }));
+  return {
+    roomId,
+    active: true,
+    startedBy: check.startedBy,
+    expected: check.expected,
+    countingDown: !!check.countdown,
+    participants,
+    readyCount: participants.filter(p => p.status === 'ready').length,
+    total: participants.length
+  };
+};
+
+const broadcast = (io, roomId) => {
+  io.to(roomId).emit('ready-check-updated', summarize(roomId));
+};
+
+// Compares what a participant has loaded with the file announced by video-metadata
+const compareFile = (expected, file) => {
+  if (!file || (!file.name && !file.size)) {
+    return { status: 'mismatch', reason: 'No video file reported' };
+  }
+  if (expected.size && file.size && Number(file.size) !== expected.size) {
+    return { status: 'mismatch', reason: 'File size differs from the announced video' };
+  }
+  if (expected.hash && file.hash && file.hash !== expected.hash) {
+    return { status: 'mismatch', reason: 'File hash differs from the announced video' };
+  }
+  if (expected.name && file.name && file.name !== expected.name) {
+    return { status: 'ready', reason: 'File name differs from the announced video' };
+  }
+  return { status: 'ready', reason: null };
+};
+
+const startPlayback = async (io, roomId) => {
+  const room = await Room.findById(roomId);
+  if (!room) return;
+  await applyPlay(io, room, { reason: 'ready-check' });
+};
+
+const startCountdown = (io, roomId, forced) => {
+  const check = checks.get(roomId);
+  if (!check || check.countdown) return;
+
+  let remaining = COUNTDOWN_SECONDS;
+  io.to(roomId).emit('ready-check-countdown', { roomId, secondsRemaining: remaining, forced });
+  check.countdown = setInterval(() => {
+    remaining -= 1;
+    if (remaining > 0) {
+      io.to(roomId).emit('ready-check-countdown', { roomId, secondsRemaining: remaining, forced });
+      return;
+    }
+    clearInterval(check.countdown);
+    checks.delete(roomId);
+    io.to(roomId).emit('ready-check-complete', { roomId, forced });
+    startPlayback(io, roomId).catch((error) => console.error('Ready check playback error:', error));
+  }, 1000);
+  broadcast(io, roomId);
+};
+
+export const getReadyCheck = (roomId) => summarize(roomId);
+
+export const startReadyCheck = (io, roomId, { startedBy, videoFile, participants }) => {
+  cancelReadyCheck(io, roomId, { silent: true });
+
+  const entries = new Map();
+  for (const { userId, name } of participants) {
+    entries.set(userId, { name, status: 'pending', reason: null, respondedAt: null });
+  }
+
+  checks.set(roomId, {
+    startedBy,
+    expected: {
+      name: videoFile?.name || null,
+      size: videoFile?.size || 0,
+      hash: videoFile?.hash || null
+    },
+    entries,
+    countdown: null
+  });
+  broadcast(io, roomId);
+};
+
+export const confirmReady = (io, roomId, userId, file) => {
+  const check = checks.get(roomId);
+  if (!check) return { success: false, error: 'No ready check in progress' };
+  if (check.countdown) return { success: false, error: 'Countdown already started' };
+
+  const entry = check.entries.get(userId);
+  if (!entry) return { success: false, error: 'You are not part of this ready check' };
+
+  Object.assign(entry, compareFile(check.expected, file), { respondedAt: new Date() });
+  broadcast(io, roomId);
+
+  if (Array.from(check.entries.values()).every(e => e.status === 'ready')) {
+    startCountdown(io, roomId, false);
+  }
+  return { success: true, status: entry.status, reason: entry.reason };
+};
+
+export const forceReadyCheck = (io, roomId) => {
+  if (!checks.has(roomId)) return { success: false, error: 'No ready check in progress' };
+  startCountdown(io, roomId, true);
+  return { success: true };
+};
+
+export const cancelReadyCheck = (io, roomId, { silent = false } = {}) => {
+  const check = checks.get(roomId);
+  if (!check) return { success: false, error: 'No ready check in progress' };
+  clearInterval(check.countdown);
+  checks.delete(roomId);
+  if (!silent) io.to(roomId).emit('ready-check-cancelled', { roomId });
+  return { success: true };
+};
+
+// People who leave mid-check should not hold it up
+export const removeFromReadyCheck = (io, roomId, userId) => {
+  const check = checks.get(roomId);
+  if (!check || check.countdown || !check.entries.delete(userId)) return;
+  broadcast(io, roomId);
+  if (check.entries.size > 0 && Array.from(check.entries.values()).every(e => e.status === 'ready')) {
+    startCountdown(io, roomId, false);
+  }
+};
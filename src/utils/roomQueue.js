@@ -0,0 +1,62 @@
+import { setRoomClock } from './playbackClock.js';
+import { emitScheduled } from './clockSync.js';
+import { formatVideoMetadata, inferSourceType, validateMediaSource } from './mediaSources.js';
+
+// Formats, broadcasts and steps through a room's watch queue
+
+export const formatQueue = (room) => ({
+  currentIndex: room.queueIndex,
+  entries: room.queue.map(entry => ({
+    id: entry._id,
+    title: entry.title,
+    videoFile: entry.videoFile,
+    duration: entry.duration,
+    addedBy: entry.addedBy,
+    addedAt: entry.addedAt
+  }))
+});
+
+export const broadcastQueue = (io, room) => {
+  if (!io) return;
+  io.to(room._id.toString()).emit('queue-updated', { roomId: room._id, ...formatQueue(room) });
+};
+
+// Moves to the next/previous entry, loads it for everyone and, when autoPlay
+// is set, starts it
+export const stepQueue = async (io, room, step, { autoPlay = false } = {}) => {
+  // Entries stored before sources were validated must not reach videoFile
+  const next = room.queue[room.queueIndex + step];
+  if (next && inferSourceType(next.videoFile)) {
+    const validated = await validateMediaSource(next.videoFile.toObject?.() ?? next.videoFile, room);
+    if (!validated.success) {
+      return { success: false, reason: `Queue entry has an invalid source: ${validated.reason}` };
+    }
+  }
+
+  const result = room.advanceQueue(step);
+  if (!result.success) return result;
+
+  if (autoPlay) {
+    room.playbackState.isPlaying = true;
+    room.status = 'playing';
+  }
+  await room.save();
+
+  if (io) {
+    const roomId = room._id.toString();
+    setRoomClock(roomId, room);
+    const entry = formatQueue(room).entries[result.index];
+    io.to(roomId).emit('queue-advanced', { roomId, index: result.index, entry, autoPlay });
+    io.to(roomId).emit('video-metadata', formatVideoMetadata(room.videoFile));
+    broadcastQueue(io, room);
+    if (autoPlay) {
+      const rate = room.playbackState.playbackRate || 1;
+      emitScheduled(io, roomId, 'video-play', (leadMs) => ({
+        currentTime: (leadMs / 1000) * rate,
+        reason: 'auto-advance'
+      }));
+    }
+  }
+
+  return result;
+};
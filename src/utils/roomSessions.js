@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+
+// Resumable room sessions. Every socket admitted to a room gets a token; when
+// the socket drops, the session is held for a grace period so a reconnecting
+// socket can take the same slot back without anyone seeing a leave/join.
+const MAX_MISSED_EVENTS = 100;
+
+// token -> { userId, roomId, socketId, disconnectedAt, timer, missed }
+const sessions = new Map();
+
+export const createSession = (userId, roomId, socketId) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  sessions.set(token, { userId, roomId, socketId, disconnectedAt: null, timer: null, missed: [] });
+  return token;
+};
+
+// Ends a session. With socketId, only if that socket still holds it, so a
+// socket whose session was resumed elsewhere cannot end it.
+export const endSession = (token, socketId) => {
+  const session = sessions.get(token);
+  if (!session) return;
+  if (socketId && session.socketId !== socketId) return;
+  clearTimeout(session.timer);
+  sessions.delete(token);
+};
+
+// Holds the session after its socket disconnects; onExpire runs if nobody
+// resumes it. Returns false if the socket no longer holds the session.
+export const suspendSession = (token, socketId, graceMs, onExpire) => {
+  const session = sessions.get(token);
+  if (!session || session.socketId !== socketId) return false;
+  session.socketId = null;
+  session.disconnectedAt = new Date();
+  session.timer = setTimeout(() => {
+    sessions.delete(token);
+    onExpire(session);
+  }, graceMs);
+  return true;
+};
+
+// Rebinds a suspended (or still live) session to a new socket and hands back
+// whatever was queued while it was away, plus the socket that held it before
+export const resumeSession = (token, userId, socketId) => {
+  const session = sessions.get(token);
+  if (!session || session.userId !== userId) return null;
+  clearTimeout(session.timer);
+  const { missed, socketId: previousSocketId } = session;
+  Object.assign(session, { socketId, disconnectedAt: null, timer: null, missed: [] });
+  return { roomId: session.roomId, missed, previousSocketId };
+};
+
+// Queues a room event for every session in the room that is currently suspended
+export const queueMissedEvent = (roomId, event, payload) => {
+  for (const session of sessions.values()) {
+    if (session.roomId !== roomId || !session.disconnectedAt) continue;
+    session.missed.push({ event, payload });
+    if (session.missed.length > MAX_MISSED_EVENTS) session.missed.shift();
+  }
+};
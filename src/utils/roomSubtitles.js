@@ -0,0 +1,35 @@
+import Subtitle from '../models/Subtitle.js';
+import { generateStreamToken } from './authTokens.js';
+
+// A room's subtitle tracks and timing offset, as sent to clients
+
+// Track URLs carry a stream token so a <track> element can load them
+export const signSubtitleTrack = (track) => ({
+  ...track,
+  url: `${track.url}?token=${generateStreamToken(track.id)}`
+});
+
+export const getSubtitleState = async (room) => ({
+  tracks: (await Subtitle.listForRoom(room._id)).map(signSubtitleTrack),
+  offset: room.subtitleOffset || 0
+});
+
+export const broadcastSubtitles = async (io, room, change = {}) => {
+  if (!io) return;
+  io.to(room._id.toString()).emit('subtitles-changed', {
+    roomId: room._id,
+    ...change,
+    ...(await getSubtitleState(room))
+  });
+};
+
+export const setSubtitleOffset = async (io, room, offset, actorId) => {
+  if (typeof offset !== 'number' || !Number.isFinite(offset) || offset < -300 || offset > 300) {
+    return { success: false, reason: 'offset must be a number of seconds between -300 and 300' };
+  }
+
+  room.subtitleOffset = Math.round(offset * 1000) / 1000;
+  await room.save();
+  await broadcastSubtitles(io, room, { action: 'offset', changedBy: actorId });
+  return { success: true, offset: room.subtitleOffset };
+};
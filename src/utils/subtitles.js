@@ -0,0 +1,68 @@
+// Subtitle checks and SRT -> WebVTT conversion
+
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// SRT uses a comma before the milliseconds, WebVTT a dot. Hours are optional in VTT.
+const SRT_TIMING = /^(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})(.*)$/;
+const VTT_TIMING = /^(?:\d{1,2}:)?\d{2}:\d{2}\.\d{3}\s+-->\s+(?:\d{1,2}:)?\d{2}:\d{2}\.\d{3}/;
+
+const padTime = (clock, millis) => {
+  const [h, m, s] = clock.split(':');
+  return `${h.padStart(2, '0')}:${m}:${s}.${millis.padEnd(3, '0')}`;
+};
+
+export const getSubtitleFormat = (filename = '') => {
+  const extension = filename.toLowerCase().split('.').pop();
+  return SUBTITLE_FORMATS.includes(extension) ? extension : null;
+};
+
+const decode = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+export const srtToVtt = (srt) => {
+  const cues = [];
+
+  for (const block of srt.split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    // The numeric cue index is optional in the wild
+    if (lines.length && /^\d+$/.test(lines[0].trim())) lines.shift();
+    if (lines.length < 2) continue;
+
+    const timing = lines[0].trim().match(SRT_TIMING);
+    if (!timing) continue;
+
+    const [, start, startMs, end, endMs] = timing;
+    cues.push(`${padTime(start, startMs)} --> ${padTime(end, endMs)}\n${lines.slice(1).join('\n')}`);
+  }
+
+  return { vtt: `WEBVTT\n\n${cues.join('\n\n')}\n`, cueCount: cues.length };
+};
+
+const checkVtt = (vtt) => {
+  const lines = vtt.split('\n');
+  if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) return 0;
+  return lines.filter(line => VTT_TIMING.test(line.trim())).length;
+};
+
+// Parses an uploaded subtitle file. Returns { format, vtt, cueCount } or
+// { error } when the file is not a usable SRT or VTT track.
+export const parseSubtitleFile = (buffer, filename) => {
+  const format = getSubtitleFormat(filename);
+  if (!format) {
+    return { error: 'Subtitles must be .srt or .vtt files' };
+  }
+
+  const text = decode(buffer);
+  if (text.includes('\u0000')) {
+    return { error: 'Subtitle file is not a text file' };
+  }
+
+  if (format === 'vtt') {
+    const cueCount = checkVtt(text);
+    if (!cueCount) return { error: 'Not a valid WebVTT file' };
+    return { format, vtt: text.endsWith('\n') ? text : `${text}\n`, cueCount };
+  }
+
+  const { vtt, cueCount } = srtToVtt(text);
+  if (!cueCount) return { error: 'Not a valid SRT file' };
+  return { format, vtt, cueCount };
+};
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import VideoUpload from '../models/VideoUpload.js';
+import { removeFile, getVideoDir } from './videoStorage.js';
+
+// Uploads that stop receiving chunks are deleted, record and file, after a while
+const STALE_UPLOAD_MS = (parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const expireStaleUploads = async () => {
+  const cutoff = new Date(Date.now() - STALE_UPLOAD_MS);
+  const stale = await VideoUpload.find({ status: 'uploading', updatedAt: { $lt: cutoff } })
+    .select('+storagePath');
+
+  for (const upload of stale) {
+    // Skip uploads that received a chunk since the query ran
+    const { deletedCount } = await VideoUpload.deleteOne({
+      _id: upload._id,
+      status: 'uploading',
+      updatedAt: upload.updatedAt
+    });
+    if (deletedCount > 0) {
+      await removeFile(upload.storagePath);
+      console.log('[uploads] Expired stale upload:', upload._id.toString());
+    }
+  }
+};
+
+// Removes a finished upload the room no longer plays, unless its queue still
+// points at it
+export const discardReplacedUpload = async (room, uploadId) => {
+  if (!uploadId) return;
+  const id = uploadId.toString();
+  if (room.videoFile?.uploadId?.toString() === id) return;
+  if (room.queue.some(entry => entry.videoFile?.uploadId?.toString() === id)) return;
+
+  const upload = await VideoUpload.findOneAndDelete({ _id: id, room: room._id }).select('+storagePath');
+  if (upload) await removeFile(upload.storagePath);
+};
+
+// Deletes every upload of a room, records and files, when the room is deleted
+export const removeRoomUploads = async (roomId) => {
+  await VideoUpload.deleteMany({ room: roomId });
+  await fs.promises.rm(getVideoDir(roomId), { recursive: true, force: true });
+};
+
+export const startUploadCleanup = () => {
+  const sweep = () => expireStaleUploads().catch((error) => console.error('Upload cleanup error:', error));
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS);
+};
@@ -0,0 +1,28 @@
+// userId -> Set of socket ids, so events can be targeted at one user's sockets
+const userSockets = new Map();
+
+export function addUserSocket(userId, socketId) {
+  const set = userSockets.get(userId) || new Set();
+  set.add(socketId);
+  userSockets.set(userId, set);
+}
+
+export function removeUserSocket(userId, socketId) {
+  const set = userSockets.get(userId);
+  if (!set) return;
+  set.delete(socketId);
+  if (set.size === 0) userSockets.delete(userId);
+}
+
+export function getUserSocketIds(userId) {
+  return userSockets.get(userId) || new Set();
+}
+
+export function getUserSocketsInRoom(io, userId, roomId) {
+  const sockets = [];
+  for (const sid of getUserSocketIds(userId)) {
+    const s = io.sockets.sockets.get(sid);
+    if (s && s.roomId === roomId) sockets.push(s);
+  }
+  return sockets;
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+
+// Server-hosted video files live on local disk, one directory per room
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+export const MAX_VIDEO_SIZE = (parseInt(process.env.MAX_VIDEO_UPLOAD_MB) || 4096) * 1024 * 1024;
+export const CHUNK_SIZE = 8 * 1024 * 1024; // what clients should send per chunk
+export const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+export const ALLOWED_VIDEO_TYPES = {
+  'video/mp4': ['.mp4', '.m4v'],
+  'video/webm': ['.webm'],
+  'video/ogg': ['.ogv', '.ogg'],
+  'video/quicktime': ['.mov'],
+  'video/x-matroska': ['.mkv']
+};
+
+export const getVideoDir = (roomId) => path.join(UPLOAD_DIR, 'videos', roomId.toString());
+
+export const ensureVideoDir = async (roomId) => {
+  const dir = getVideoDir(roomId);
+  await fs.promises.mkdir(dir, { recursive: true });
+  return dir;
+};
+
+// Both the declared MIME type and the extension must be on the allow-list
+export const isAllowedVideo = (mimeType, fileName = '') => {
+  const extensions = ALLOWED_VIDEO_TYPES[mimeType];
+  return !!extensions && extensions.includes(path.extname(fileName).toLowerCase());
+};
+
+// Checks the first bytes of a file against the container it claims to be
+export const matchesVideoSignature = (buffer, mimeType) => {
+  if (!buffer || buffer.length < 12) return false;
+  switch (mimeType) {
+    case 'video/mp4':
+    case 'video/quicktime':
+      return buffer.toString('latin1', 4, 8) === 'ftyp'
+        || ['moov', 'mdat', 'wide', 'free'].includes(buffer.toString('latin1', 4, 8));
+    case 'video/webm':
+    case 'video/x-matroska':
+      return buffer.readUInt32BE(0) === 0x1a45dfa3;
+    case 'video/ogg':
+      return buffer.toString('latin1', 0, 4) === 'OggS';
+    default:
+      return false;
+  }
+};
+
+export const readFileHead = async (filePath, length = 16) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+export const writeChunk = async (filePath, buffer, offset) => {
+  const handle = await fs.promises.open(filePath, 'r+');
+  try {
+    await handle.write(buffer, 0, buffer.length, offset);
+  } finally {
+    await handle.close();
+  }
+};
+
+export const removeFile = async (filePath) => {
+  if (!filePath) return;
+  await fs.promises.rm(filePath, { force: true });
+};
+
+// Parses a single "bytes=start-end" range. Returns null when there is no
+// usable Range header, or { unsatisfiable: true } when it is out of bounds.
+export const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+};